@@ -1,7 +1,8 @@
 {
-  /* Visit https://firebase.google.com/docs/database/security to learn more about security rules. */
+  /* Reglas de Realtime Database. La app guarda todo en Firestore (ver
+     firestore.rules), asi que la base de tiempo real queda cerrada. */
   "rules": {
-    ".read": true,
-    ".write": true
+    ".read": false,
+    ".write": false
   }
-}
\ No newline at end of file
+}
@@ -0,0 +1,64 @@
+// Contadores de un viaje que se guardan en el mismo documento, para mostrarlos
+// sin contar las reservas cada vez:
+//
+//   contadores.pendientes   solicitudes esperando respuesta del conductor
+//   contadores.confirmadas  reservas confirmadas, es decir lugares ocupados
+//
+// Se recalculan contando las reservas del viaje dentro de una transaccion, asi
+// el resultado es el mismo aunque el trigger corra mas de una vez. Si los cupos
+// libres no coinciden con cuposTotales menos las confirmadas tambien se corrigen.
+
+function contarReservas(reservas) {
+  const contadores = { pendientes: 0, confirmadas: 0 };
+  reservas.forEach(reserva => {
+    if (reserva.estado === "pendiente") {
+      contadores.pendientes++;
+    } else if (reserva.estado === "confirmada") {
+      contadores.confirmadas++;
+    }
+  });
+  return contadores;
+}
+
+// Los campos del viaje que hay que cambiar para que coincida con sus reservas
+
+function cambiosDeContadores(viaje, contadores) {
+  const cambios = {};
+  const actuales = viaje.contadores || {};
+  if (actuales.pendientes !== contadores.pendientes || actuales.confirmadas !== contadores.confirmadas) {
+    cambios.contadores = contadores;
+  }
+
+  // En un viaje cancelado los cupos ya no se usan
+  if (viaje.estado !== "cancelado" && typeof viaje.cuposTotales === "number") {
+    const cupos = Math.max(viaje.cuposTotales - contadores.confirmadas, 0);
+    if (viaje.cupos !== cupos) {
+      cambios.cupos = cupos;
+    }
+  }
+  return cambios;
+}
+
+function actualizarContadores(db, viajeId) {
+  const viajeRef = db.collection("viajes").doc(viajeId);
+  const reservas = db.collection("reservas").where("viaje", "==", viajeId);
+
+  return db.runTransaction(transaction => {
+    return Promise.all([transaction.get(viajeRef), transaction.get(reservas)]).then(resultados => {
+      const viaje = resultados[0];
+      if (!viaje.exists) {
+        return null;
+      }
+
+      const contadores = contarReservas(resultados[1].docs.map(reserva => reserva.data()));
+      const cambios = cambiosDeContadores(viaje.data(), contadores);
+      if (Object.keys(cambios).length === 0) {
+        return null;
+      }
+      transaction.update(viajeRef, cambios);
+      return cambios;
+    });
+  });
+}
+
+module.exports = { contarReservas, cambiosDeContadores, actualizarContadores };
@@ -0,0 +1,44 @@
+// Cloud Functions de AventApp. Son triggers de Firestore que:
+//
+//   - recalculan los contadores de reservas de cada viaje (contadores.js)
+//   - avisan con documentos en "notificaciones" cuando cambia una reserva,
+//     llega un mensaje al chat de un viaje o alguien recibe una resena
+//     (notificaciones.js)
+//   - borran las reservas y los mensajes de un viaje borrado (limpieza.js)
+//
+// Los cupos de cada reserva los sigue descontando el cliente en la misma
+// transaccion que la confirma (www/js/reservas.js), porque es lo que evita
+// reservar de mas. El recalculo de aca corrige lo que haya quedado desparejo.
+
+const functions = require("firebase-functions");
+const admin = require("firebase-admin");
+
+admin.initializeApp();
+
+const contadores = require("./contadores");
+const notificaciones = require("./notificaciones");
+const limpieza = require("./limpieza");
+
+exports.alCambiarReserva = functions.firestore.document("reservas/{reservaId}").onWrite((cambio, context) => {
+  const antes = cambio.before.exists ? cambio.before.data() : null;
+  const despues = cambio.after.exists ? cambio.after.data() : null;
+  const viajeId = (despues || antes).viaje;
+  const db = admin.firestore();
+
+  return Promise.all([
+    contadores.actualizarContadores(db, viajeId),
+    notificaciones.avisarCambioDeReserva(db, antes, despues, context.eventId)
+  ]);
+});
+
+exports.alCrearMensaje = functions.firestore.document("viajes/{viajeId}/mensajes/{mensajeId}").onCreate((mensaje, context) => {
+  return notificaciones.avisarMensajeNuevo(admin.firestore(), context.params.viajeId, mensaje.data(), context.eventId);
+});
+
+exports.alCrearResena = functions.firestore.document("resenas/{resenaId}").onCreate((resena, context) => {
+  return notificaciones.avisarResenaNueva(admin.firestore(), resena.data(), context.eventId);
+});
+
+exports.alBorrarViaje = functions.firestore.document("viajes/{viajeId}").onDelete((viaje, context) => {
+  return limpieza.limpiarViaje(admin.firestore(), context.params.viajeId, viaje.data(), context.eventId);
+});
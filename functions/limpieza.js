@@ -0,0 +1,67 @@
+// Limpieza de un viaje borrado: se borran sus reservas y los mensajes del chat,
+// se quita el enlace desde su viaje de ida o de vuelta y se avisa a los
+// pasajeros que tenian una reserva activa.
+
+const admin = require("firebase-admin");
+const notificaciones = require("./notificaciones");
+
+// Un batch admite hasta 500 escrituras
+const TAMANO_LOTE = 400;
+
+// Cada operacion es una funcion que agrega su escritura al batch que recibe.
+// Los lotes se escriben uno despues del otro.
+
+function escribirEnLotes(db, operaciones) {
+  const lotes = [];
+  for (let i = 0; i < operaciones.length; i += TAMANO_LOTE) {
+    lotes.push(operaciones.slice(i, i + TAMANO_LOTE));
+  }
+
+  return lotes.reduce((anterior, lote) => {
+    return anterior.then(() => {
+      const batch = db.batch();
+      lote.forEach(operacion => operacion(batch));
+      return batch.commit();
+    });
+  }, Promise.resolve()).then(() => operaciones.length);
+}
+
+function reservaActiva(reserva) {
+  return reserva.estado === "pendiente" || reserva.estado === "confirmada";
+}
+
+function limpiarViaje(db, viajeId, viaje, eventoId) {
+  const par = viaje.viajeVuelta || viaje.viajeIda;
+
+  return Promise.all([
+    db.collection("reservas").where("viaje", "==", viajeId).get(),
+    db.collection("viajes").doc(viajeId).collection("mensajes").get(),
+    par ? db.collection("viajes").doc(par).get() : Promise.resolve(null)
+  ])
+  .then(resultados => {
+    const operaciones = [];
+    const texto = "El conductor elimino el viaje " + notificaciones.textoViaje(viaje);
+
+    resultados[0].docs.forEach(reserva => {
+      const pasajero = reserva.data().pasajero;
+      if (reservaActiva(reserva.data()) && viaje.estado !== "cancelado") {
+        operaciones.push(batch => batch.set(notificaciones.referenciaNotificacion(db, eventoId, pasajero),
+          notificaciones.datosNotificacion(pasajero, "viajeCancelado", viajeId, texto)));
+      }
+      operaciones.push(batch => batch.delete(reserva.ref));
+    });
+    resultados[1].docs.forEach(mensaje => {
+      operaciones.push(batch => batch.delete(mensaje.ref));
+    });
+
+    const viajePar = resultados[2];
+    if (viajePar && viajePar.exists) {
+      const campo = viaje.viajeVuelta ? "viajeIda" : "viajeVuelta";
+      operaciones.push(batch => batch.update(viajePar.ref, { [campo]: admin.firestore.FieldValue.delete() }));
+    }
+
+    return escribirEnLotes(db, operaciones);
+  });
+}
+
+module.exports = { escribirEnLotes, limpiarViaje };
@@ -0,0 +1,124 @@
+// Avisos que se escriben desde el servidor en la coleccion "notificaciones",
+// con la misma forma que los que escribe el cliente (www/js/notificaciones.js).
+//
+// El id de cada aviso sale del id del evento que lo provoca, asi un trigger que
+// se repite vuelve a escribir el mismo documento en lugar de duplicarlo.
+
+const admin = require("firebase-admin");
+
+const LARGO_VISTA_PREVIA = 80;
+
+function datosNotificacion(usuario, tipo, viajeId, texto) {
+  return {
+    usuario: usuario,
+    tipo: tipo,
+    viaje: viajeId,
+    texto: texto,
+    leida: false,
+    creada: admin.firestore.FieldValue.serverTimestamp()
+  };
+}
+
+function referenciaNotificacion(db, eventoId, usuario) {
+  return db.collection("notificaciones").doc(eventoId + "_" + usuario);
+}
+
+function textoViaje(viaje) {
+  return viaje.origen + " - " + viaje.destino;
+}
+
+// El aviso que corresponde a un cambio de estado de una reserva, o null. Cuando
+// el conductor cancela el viaje (estado viajeCancelado) el aviso ya lo escribe
+// el cliente junto con la cancelacion.
+
+function avisoDeReserva(antes, despues, viaje) {
+  const estadoAntes = antes ? antes.estado : null;
+  if (!despues || despues.estado === estadoAntes) {
+    return null;
+  }
+
+  const ruta = textoViaje(viaje);
+  switch (despues.estado) {
+    case "pendiente":
+      return { usuario: despues.conductor, tipo: "reservaRecibida", texto: "Nueva solicitud de reserva para " + ruta };
+    case "confirmada":
+      if (estadoAntes === "pendiente") {
+        return { usuario: despues.pasajero, tipo: "reservaAceptada", texto: "El conductor acepto tu reserva para " + ruta };
+      }
+      return { usuario: despues.conductor, tipo: "reservaRecibida", texto: "Un pasajero acepto tu oferta para " + ruta };
+    case "rechazada":
+      return { usuario: despues.pasajero, tipo: "reservaRechazada", texto: "El conductor rechazo tu solicitud para " + ruta };
+    case "cancelada":
+      return { usuario: despues.conductor, tipo: "reservaCancelada", texto: "Un pasajero cancelo su reserva para " + ruta };
+    default:
+      return null;
+  }
+}
+
+function avisarCambioDeReserva(db, antes, despues, eventoId) {
+  const reserva = despues || antes;
+  return db.collection("viajes").doc(reserva.viaje).get().then(viaje => {
+    const aviso = viaje.exists ? avisoDeReserva(antes, despues, viaje.data()) : null;
+    if (aviso === null) {
+      return null;
+    }
+    return referenciaNotificacion(db, eventoId, aviso.usuario)
+      .set(datosNotificacion(aviso.usuario, aviso.tipo, reserva.viaje, aviso.texto));
+  });
+}
+
+function vistaPrevia(texto) {
+  return texto.length > LARGO_VISTA_PREVIA ? texto.slice(0, LARGO_VISTA_PREVIA - 3) + "..." : texto;
+}
+
+// Un mensaje nuevo del chat se avisa al conductor y a los pasajeros
+// confirmados, menos a quien lo escribio
+
+function avisarMensajeNuevo(db, viajeId, mensaje, eventoId) {
+  return Promise.all([
+    db.collection("viajes").doc(viajeId).get(),
+    db.collection("reservas").where("viaje", "==", viajeId).where("estado", "==", "confirmada").get()
+  ])
+  .then(resultados => {
+    const viaje = resultados[0];
+    if (!viaje.exists) {
+      return null;
+    }
+
+    const miembros = [viaje.data().conductor].concat(resultados[1].docs.map(reserva => reserva.data().pasajero));
+    const destinatarios = miembros.filter(uid => uid !== mensaje.autor);
+    if (destinatarios.length === 0) {
+      return null;
+    }
+
+    const texto = "Nuevo mensaje en " + textoViaje(viaje.data()) + ": " + vistaPrevia(String(mensaje.texto || ""));
+    const batch = db.batch();
+    destinatarios.forEach(uid => {
+      batch.set(referenciaNotificacion(db, eventoId, uid), datosNotificacion(uid, "mensajeNuevo", viajeId, texto));
+    });
+    return batch.commit();
+  });
+}
+
+// Una resena nueva se avisa a quien la recibe
+
+function avisarResenaNueva(db, resena, eventoId) {
+  return db.collection("viajes").doc(resena.viaje).get().then(viaje => {
+    if (!viaje.exists) {
+      return null;
+    }
+    const texto = "Te calificaron con " + resena.puntaje + " de 5 por el viaje " + textoViaje(viaje.data());
+    return referenciaNotificacion(db, eventoId, resena.destinatario)
+      .set(datosNotificacion(resena.destinatario, "resenaRecibida", resena.viaje, texto));
+  });
+}
+
+module.exports = {
+  datosNotificacion,
+  referenciaNotificacion,
+  textoViaje,
+  avisoDeReserva,
+  avisarCambioDeReserva,
+  avisarMensajeNuevo,
+  avisarResenaNueva
+};
@@ -0,0 +1,188 @@
+// Pruebas de los triggers con firebase-functions-test contra el emulador de
+// Firestore. Con "npm run test:emuladores" el emulador se levanta solo; si ya
+// esta corriendo se usa el puerto de firebase.json.
+
+const assert = require("assert");
+const http = require("http");
+const path = require("path");
+
+const configuracion = require(path.join(__dirname, "..", "..", "firebase.json"));
+if (!process.env.FIRESTORE_EMULATOR_HOST) {
+  process.env.FIRESTORE_EMULATOR_HOST = "localhost:" + configuracion.emulators.firestore.port;
+}
+
+const PROYECTO = "aventapp-funciones";
+const pruebas = require("firebase-functions-test")({ projectId: PROYECTO });
+const admin = require("firebase-admin");
+const funciones = require("../index");
+
+const db = admin.firestore();
+
+// Borra todos los documentos del emulador. Es lo primero que se pide antes de
+// cada prueba, asi que si el emulador no esta corriendo falla aca con un aviso.
+function vaciarFirestore() {
+  return new Promise((resolve, reject) => {
+    const pedido = http.request({
+      method: "DELETE",
+      host: process.env.FIRESTORE_EMULATOR_HOST.split(":")[0],
+      port: process.env.FIRESTORE_EMULATOR_HOST.split(":")[1],
+      path: "/emulator/v1/projects/" + PROYECTO + "/databases/(default)/documents"
+    }, respuesta => {
+      respuesta.resume();
+      respuesta.on("end", resolve);
+    });
+    pedido.on("error", error => {
+      reject(new Error("El emulador de Firestore no responde en " + process.env.FIRESTORE_EMULATOR_HOST +
+        ". Estas pruebas se corren con \"npm run test:emuladores\" (" + error.message + ")"));
+    });
+    pedido.end();
+  });
+}
+
+function viaje(cambios) {
+  return Object.assign({
+    origen: "Cordoba",
+    destino: "Rosario",
+    conductor: "conductor",
+    cupos: 3,
+    cuposTotales: 3
+  }, cambios);
+}
+
+function reserva(pasajero, estado) {
+  return { viaje: "v1", pasajero: pasajero, conductor: "conductor", estado: estado };
+}
+
+function cambioDeReserva(reservaId, antes, despues) {
+  const ruta = "reservas/" + reservaId;
+  return pruebas.makeChange(
+    pruebas.firestore.makeDocumentSnapshot(antes || {}, ruta),
+    pruebas.firestore.makeDocumentSnapshot(despues || {}, ruta));
+}
+
+function notificacionesDe(usuario) {
+  return db.collection("notificaciones").where("usuario", "==", usuario).get()
+    .then(querySnapshot => querySnapshot.docs.map(doc => doc.data()));
+}
+
+describe("triggers", () => {
+  beforeEach(vaciarFirestore);
+
+  after(() => {
+    pruebas.cleanup();
+    return Promise.all(admin.apps.map(app => app.delete()));
+  });
+
+  describe("alCambiarReserva", () => {
+    const alCambiarReserva = pruebas.wrap(funciones.alCambiarReserva);
+
+    it("recalcula los contadores y corrige los cupos del viaje", () => {
+      const batch = db.batch();
+      batch.set(db.collection("viajes").doc("v1"), viaje({}));
+      batch.set(db.collection("reservas").doc("v1_p1"), reserva("p1", "pendiente"));
+      batch.set(db.collection("reservas").doc("v1_p2"), reserva("p2", "confirmada"));
+      return batch.commit()
+        .then(() => alCambiarReserva(cambioDeReserva("v1_p1", null, reserva("p1", "pendiente")),
+          { params: { reservaId: "v1_p1" }, eventId: "evento1" }))
+        .then(() => db.collection("viajes").doc("v1").get())
+        .then(doc => {
+          assert.deepStrictEqual(doc.data().contadores, { pendientes: 1, confirmadas: 1 });
+          assert.strictEqual(doc.data().cupos, 2);
+          return null;
+        });
+    });
+
+    it("avisa al conductor una sola vez aunque el evento se repita", () => {
+      const cambio = cambioDeReserva("v1_p1", null, reserva("p1", "pendiente"));
+      const contexto = { params: { reservaId: "v1_p1" }, eventId: "evento2" };
+      return db.collection("viajes").doc("v1").set(viaje({}))
+        .then(() => alCambiarReserva(cambio, contexto))
+        .then(() => alCambiarReserva(cambio, contexto))
+        .then(() => notificacionesDe("conductor"))
+        .then(avisos => {
+          assert.strictEqual(avisos.length, 1);
+          assert.strictEqual(avisos[0].tipo, "reservaRecibida");
+          assert.strictEqual(avisos[0].viaje, "v1");
+          assert.strictEqual(avisos[0].leida, false);
+          return null;
+        });
+    });
+
+    it("avisa al pasajero cuando el conductor acepta", () => {
+      return db.collection("viajes").doc("v1").set(viaje({}))
+        .then(() => alCambiarReserva(cambioDeReserva("v1_p1", reserva("p1", "pendiente"), reserva("p1", "confirmada")),
+          { params: { reservaId: "v1_p1" }, eventId: "evento3" }))
+        .then(() => notificacionesDe("p1"))
+        .then(avisos => {
+          assert.deepStrictEqual(avisos.map(aviso => aviso.tipo), ["reservaAceptada"]);
+          return null;
+        });
+    });
+  });
+
+  describe("alCrearMensaje", () => {
+    it("avisa a los miembros del viaje menos al autor", () => {
+      const batch = db.batch();
+      batch.set(db.collection("viajes").doc("v1"), viaje({}));
+      batch.set(db.collection("reservas").doc("v1_p1"), reserva("p1", "confirmada"));
+      batch.set(db.collection("reservas").doc("v1_p2"), reserva("p2", "confirmada"));
+      batch.set(db.collection("reservas").doc("v1_p3"), reserva("p3", "pendiente"));
+      const mensaje = pruebas.firestore.makeDocumentSnapshot({ autor: "p1", texto: "Hola" }, "viajes/v1/mensajes/m1");
+
+      return batch.commit()
+        .then(() => pruebas.wrap(funciones.alCrearMensaje)(mensaje, { params: { viajeId: "v1", mensajeId: "m1" } }))
+        .then(() => db.collection("notificaciones").get())
+        .then(querySnapshot => {
+          const usuarios = querySnapshot.docs.map(doc => doc.data().usuario).sort();
+          assert.deepStrictEqual(usuarios, ["conductor", "p2"]);
+          assert.strictEqual(querySnapshot.docs[0].data().tipo, "mensajeNuevo");
+          return null;
+        });
+    });
+  });
+
+  describe("alCrearResena", () => {
+    it("avisa a quien recibe la resena", () => {
+      const resena = pruebas.firestore.makeDocumentSnapshot(
+        { viaje: "v1", autor: "p1", destinatario: "conductor", puntaje: 4, comentario: "" },
+        "resenas/v1_p1_conductor");
+
+      return db.collection("viajes").doc("v1").set(viaje({}))
+        .then(() => pruebas.wrap(funciones.alCrearResena)(resena, { params: { resenaId: "v1_p1_conductor" } }))
+        .then(() => notificacionesDe("conductor"))
+        .then(avisos => {
+          assert.deepStrictEqual(avisos.map(aviso => aviso.tipo), ["resenaRecibida"]);
+          assert.strictEqual(avisos[0].viaje, "v1");
+          return null;
+        });
+    });
+  });
+
+  describe("alBorrarViaje", () => {
+    it("borra reservas y mensajes, desvincula la vuelta y avisa a los pasajeros activos", () => {
+      const datosViaje = viaje({ viajeVuelta: "v2" });
+      const batch = db.batch();
+      batch.set(db.collection("viajes").doc("v2"), viaje({ viajeIda: "v1" }));
+      batch.set(db.collection("reservas").doc("v1_p1"), reserva("p1", "confirmada"));
+      batch.set(db.collection("reservas").doc("v1_p2"), reserva("p2", "cancelada"));
+      batch.set(db.collection("viajes").doc("v1").collection("mensajes").doc("m1"), { autor: "p1", texto: "Hola" });
+      const borrado = pruebas.firestore.makeDocumentSnapshot(datosViaje, "viajes/v1");
+
+      return batch.commit()
+        .then(() => pruebas.wrap(funciones.alBorrarViaje)(borrado, { params: { viajeId: "v1" }, eventId: "evento4" }))
+        .then(() => Promise.all([
+          db.collection("reservas").where("viaje", "==", "v1").get(),
+          db.collection("viajes").doc("v1").collection("mensajes").get(),
+          db.collection("viajes").doc("v2").get(),
+          db.collection("notificaciones").get()
+        ]))
+        .then(resultados => {
+          assert.strictEqual(resultados[0].size, 0);
+          assert.strictEqual(resultados[1].size, 0);
+          assert.strictEqual(resultados[2].data().viajeIda, undefined);
+          assert.deepStrictEqual(resultados[3].docs.map(doc => doc.data().usuario), ["p1"]);
+          return null;
+        });
+    });
+  });
+});
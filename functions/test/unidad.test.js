@@ -0,0 +1,65 @@
+// Pruebas de las partes que no leen ni escriben en Firestore
+
+const assert = require("assert");
+const contadores = require("../contadores");
+const notificaciones = require("../notificaciones");
+
+const VIAJE = { origen: "Cordoba", destino: "Rosario", conductor: "conductor", cupos: 3, cuposTotales: 3 };
+
+function reserva(estado) {
+  return { viaje: "v1", pasajero: "pasajero", conductor: "conductor", estado: estado };
+}
+
+describe("contadores", () => {
+  it("cuenta solo las reservas pendientes y confirmadas", () => {
+    const estados = ["pendiente", "confirmada", "confirmada", "rechazada", "cancelada", "viajeCancelado"];
+    assert.deepStrictEqual(contadores.contarReservas(estados.map(reserva)), { pendientes: 1, confirmadas: 2 });
+  });
+
+  it("corrige los cupos libres segun las confirmadas", () => {
+    const cambios = contadores.cambiosDeContadores(VIAJE, { pendientes: 0, confirmadas: 1 });
+    assert.deepStrictEqual(cambios, { contadores: { pendientes: 0, confirmadas: 1 }, cupos: 2 });
+  });
+
+  it("no cambia nada si el viaje ya coincide", () => {
+    const viaje = Object.assign({}, VIAJE, { cupos: 2, contadores: { pendientes: 1, confirmadas: 1 } });
+    assert.deepStrictEqual(contadores.cambiosDeContadores(viaje, { pendientes: 1, confirmadas: 1 }), {});
+  });
+
+  it("no toca los cupos de un viaje cancelado", () => {
+    const viaje = Object.assign({}, VIAJE, { estado: "cancelado", cupos: 1 });
+    assert.deepStrictEqual(contadores.cambiosDeContadores(viaje, { pendientes: 0, confirmadas: 0 }),
+      { contadores: { pendientes: 0, confirmadas: 0 } });
+  });
+});
+
+describe("avisoDeReserva", () => {
+  function aviso(antes, despues) {
+    const resultado = notificaciones.avisoDeReserva(antes && reserva(antes), despues && reserva(despues), VIAJE);
+    return resultado && resultado.usuario + " " + resultado.tipo;
+  }
+
+  it("avisa al conductor de una solicitud nueva", () => {
+    assert.strictEqual(aviso(null, "pendiente"), "conductor reservaRecibida");
+    assert.strictEqual(aviso("cancelada", "pendiente"), "conductor reservaRecibida");
+  });
+
+  it("avisa al conductor cuando un pasajero acepta su oferta", () => {
+    assert.strictEqual(aviso(null, "confirmada"), "conductor reservaRecibida");
+  });
+
+  it("avisa al pasajero la respuesta del conductor", () => {
+    assert.strictEqual(aviso("pendiente", "confirmada"), "pasajero reservaAceptada");
+    assert.strictEqual(aviso("pendiente", "rechazada"), "pasajero reservaRechazada");
+  });
+
+  it("avisa al conductor cuando un pasajero cancela", () => {
+    assert.strictEqual(aviso("confirmada", "cancelada"), "conductor reservaCancelada");
+  });
+
+  it("no avisa si no cambia el estado, si se borra o si se cancela el viaje", () => {
+    assert.strictEqual(aviso("confirmada", "confirmada"), null);
+    assert.strictEqual(aviso("confirmada", null), null);
+    assert.strictEqual(aviso("confirmada", "viajeCancelado"), null);
+  });
+});
@@ -0,0 +1,29 @@
+// Configuracion comun de las pruebas de reglas. Si las pruebas no corren con
+// "firebase emulators:exec" (que define las variables de entorno), se usan los
+// puertos de los emuladores declarados en firebase.json.
+
+const fs = require("fs");
+const path = require("path");
+
+const RAIZ = path.join(__dirname, "..");
+const configuracion = JSON.parse(fs.readFileSync(path.join(RAIZ, "firebase.json"), "utf8"));
+
+if (!process.env.FIRESTORE_EMULATOR_HOST) {
+  process.env.FIRESTORE_EMULATOR_HOST = "localhost:" + configuracion.emulators.firestore.port;
+}
+if (!process.env.FIREBASE_DATABASE_EMULATOR_HOST) {
+  process.env.FIREBASE_DATABASE_EMULATOR_HOST = "localhost:" + configuracion.emulators.database.port;
+}
+
+// La libreria lee las variables al cargarse, por eso se requiere despues
+const firebase = require("@firebase/testing");
+
+function leerReglas(archivo) {
+  return fs.readFileSync(path.join(RAIZ, archivo), "utf8");
+}
+
+module.exports = {
+  firebase: firebase,
+  reglasFirestore: leerReglas(configuracion.firestore.rules),
+  reglasDatabase: leerReglas(configuracion.database.rules)
+};
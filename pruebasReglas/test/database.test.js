@@ -0,0 +1,37 @@
+// La app no usa Realtime Database: nadie la lee ni la escribe
+
+const emuladores = require("../emuladores");
+const firebase = emuladores.firebase;
+
+const BASE = "aventapp-reglas-" + Date.now();
+
+function cliente(uid) {
+  return firebase.initializeTestApp({
+    databaseName: BASE,
+    auth: uid ? { uid: uid } : undefined
+  }).database();
+}
+
+describe("Realtime Database", function() {
+  before(function() {
+    return firebase.loadDatabaseRules({ databaseName: BASE, rules: emuladores.reglasDatabase });
+  });
+
+  after(function() {
+    return Promise.all(firebase.apps().map(function(app) {
+      return app.delete();
+    }));
+  });
+
+  it("no deja leer sin sesion", function() {
+    return firebase.assertFails(cliente(null).ref("viajes").once("value"));
+  });
+
+  it("no deja leer ni escribir con sesion", function() {
+    const db = cliente("pasajero");
+    return Promise.all([
+      firebase.assertFails(db.ref("viajes").once("value")),
+      firebase.assertFails(db.ref("viajes/v1").set({ origen: "Cordoba" }))
+    ]);
+  });
+});
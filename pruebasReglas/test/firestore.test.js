@@ -0,0 +1,432 @@
+// Pruebas de firestore.rules. Cada prueba arranca con los mismos datos: un
+// viaje proximo (v1) del conductor, un viaje que ya salio (v0) con el pasajero
+// confirmado y un pedido de viaje del pasajero (s1) con la oferta del conductor.
+
+const emuladores = require("../emuladores");
+const firebase = emuladores.firebase;
+
+const PROYECTO = "aventapp-reglas-" + Date.now();
+const CONDUCTOR = "conductor";
+const PASAJERO = "pasajero";
+const OTRO = "otro";
+
+const UN_DIA = 24 * 60 * 60 * 1000;
+
+function cliente(uid) {
+  return firebase.initializeTestApp({
+    projectId: PROYECTO,
+    auth: uid ? { uid: uid, email_verified: true } : undefined
+  }).firestore();
+}
+
+function clienteSinVerificar(uid) {
+  return firebase.initializeTestApp({
+    projectId: PROYECTO,
+    auth: { uid: uid, email_verified: false }
+  }).firestore();
+}
+
+function admin() {
+  return firebase.initializeAdminApp({ projectId: PROYECTO }).firestore();
+}
+
+function salidaEn(milisegundos) {
+  return firebase.firestore.Timestamp.fromDate(new Date(Date.now() + milisegundos));
+}
+
+function datosViaje(cambios) {
+  return Object.assign({
+    origen: "Cordoba",
+    destino: "Rosario",
+    salida: salidaEn(UN_DIA),
+    cupos: 3,
+    cuposTotales: 3,
+    conductor: CONDUCTOR,
+    creadoPor: CONDUCTOR
+  }, cambios);
+}
+
+function datosReserva(viajeId, estado) {
+  return {
+    viaje: viajeId,
+    pasajero: PASAJERO,
+    conductor: CONDUCTOR,
+    estado: estado
+  };
+}
+
+function cargarDatos() {
+  const db = admin();
+  const batch = db.batch();
+  [CONDUCTOR, PASAJERO, OTRO].forEach(function(uid) {
+    batch.set(db.collection("usuarios").doc(uid), { nombre: uid });
+  });
+  batch.set(db.collection("viajes").doc("v1"), datosViaje({}));
+  batch.set(db.collection("viajes").doc("v0"), datosViaje({ salida: salidaEn(-UN_DIA), cupos: 2 }));
+  batch.set(db.collection("reservas").doc("v0_" + PASAJERO), datosReserva("v0", "confirmada"));
+  batch.set(db.collection("solicitudes").doc("s1"), { pasajero: PASAJERO, estado: "abierta" });
+  batch.set(db.collection("solicitudes").doc("s1").collection("ofertas").doc(CONDUCTOR),
+    { conductor: CONDUCTOR, viaje: "v1" });
+  return batch.commit();
+}
+
+// Confirma la reserva del pasajero en v1 desde el administrador
+function confirmarReservaV1() {
+  const db = admin();
+  const batch = db.batch();
+  batch.set(db.collection("reservas").doc("v1_" + PASAJERO), datosReserva("v1", "confirmada"));
+  batch.update(db.collection("viajes").doc("v1"), { cupos: 2, ultimaReserva: "v1_" + PASAJERO });
+  return batch.commit();
+}
+
+describe("firestore.rules", function() {
+  before(function() {
+    return firebase.loadFirestoreRules({ projectId: PROYECTO, rules: emuladores.reglasFirestore });
+  });
+
+  beforeEach(function() {
+    return firebase.clearFirestoreData({ projectId: PROYECTO }).then(cargarDatos);
+  });
+
+  after(function() {
+    return Promise.all(firebase.apps().map(function(app) {
+      return app.delete();
+    }));
+  });
+
+  describe("viajes", function() {
+    it("no deja leer sin sesion", function() {
+      return firebase.assertFails(cliente(null).collection("viajes").doc("v1").get());
+    });
+
+    it("deja publicar un viaje propio valido", function() {
+      return firebase.assertSucceeds(cliente(CONDUCTOR).collection("viajes").add(datosViaje({})));
+    });
+
+    it("no deja publicar a nombre de otro ni con mas de 4 cupos", function() {
+      const db = cliente(OTRO);
+      return Promise.all([
+        firebase.assertFails(db.collection("viajes").add(datosViaje({ creadoPor: OTRO }))),
+        firebase.assertFails(db.collection("viajes").add(datosViaje({
+          conductor: OTRO, creadoPor: OTRO, cupos: 5, cuposTotales: 5
+        })))
+      ]);
+    });
+
+    it("no deja publicar sin el email verificado", function() {
+      return firebase.assertFails(clienteSinVerificar(CONDUCTOR).collection("viajes").add(datosViaje({})));
+    });
+
+    it("deja al conductor cancelar su viaje pero no deshacer la cancelacion", function() {
+      const viaje = cliente(CONDUCTOR).collection("viajes").doc("v1");
+      return firebase.assertSucceeds(viaje.update({ estado: "cancelado" })).then(function() {
+        return Promise.all([
+          firebase.assertFails(viaje.update({ estado: "activo" })),
+          firebase.assertFails(viaje.update({ estado: firebase.firestore.FieldValue.delete() }))
+        ]);
+      });
+    });
+
+    it("deja al conductor editar sin cambiar los lugares ocupados", function() {
+      return firebase.assertSucceeds(cliente(CONDUCTOR).collection("viajes").doc("v1")
+        .update({ destino: "Santa Fe", cupos: 4, cuposTotales: 4 }));
+    });
+
+    it("no deja al conductor liberar lugares ocupados", function() {
+      return confirmarReservaV1().then(function() {
+        return firebase.assertFails(cliente(CONDUCTOR).collection("viajes").doc("v1").update({ cupos: 3 }));
+      });
+    });
+
+    it("no deja al conductor escribir los contadores de reservas", function() {
+      return firebase.assertFails(cliente(CONDUCTOR).collection("viajes").doc("v1")
+        .update({ contadores: { pendientes: 0, confirmadas: 3 } }));
+    });
+
+    it("no deja a otro usuario editar ni tocar los cupos sin una reserva", function() {
+      const viaje = cliente(OTRO).collection("viajes").doc("v1");
+      return Promise.all([
+        firebase.assertFails(viaje.update({ destino: "Santa Fe" })),
+        firebase.assertFails(viaje.update({ cupos: 2, ultimaReserva: "v1_" + OTRO }))
+      ]);
+    });
+  });
+
+  describe("reservas", function() {
+    it("deja pedir un lugar como pendiente", function() {
+      return firebase.assertSucceeds(cliente(PASAJERO).collection("reservas").doc("v1_" + PASAJERO)
+        .set(datosReserva("v1", "pendiente")));
+    });
+
+    it("no deja pedir un lugar sin el email verificado", function() {
+      return firebase.assertFails(clienteSinVerificar(PASAJERO).collection("reservas").doc("v1_" + PASAJERO)
+        .set(datosReserva("v1", "pendiente")));
+    });
+
+    it("no deja reservar en el viaje propio ni con el id de otro", function() {
+      return Promise.all([
+        firebase.assertFails(cliente(CONDUCTOR).collection("reservas").doc("v1_" + CONDUCTOR).set({
+          viaje: "v1", pasajero: CONDUCTOR, conductor: CONDUCTOR, estado: "pendiente"
+        })),
+        firebase.assertFails(cliente(OTRO).collection("reservas").doc("v1_" + PASAJERO)
+          .set(datosReserva("v1", "pendiente")))
+      ]);
+    });
+
+    it("no deja confirmarse solo sin una oferta", function() {
+      const db = cliente(PASAJERO);
+      const batch = db.batch();
+      batch.set(db.collection("reservas").doc("v1_" + PASAJERO), datosReserva("v1", "confirmada"));
+      batch.update(db.collection("viajes").doc("v1"), { cupos: 2, ultimaReserva: "v1_" + PASAJERO });
+      return firebase.assertFails(batch.commit());
+    });
+
+    it("deja confirmar al aceptar la oferta de un pedido", function() {
+      const db = cliente(PASAJERO);
+      const batch = db.batch();
+      batch.set(db.collection("reservas").doc("v1_" + PASAJERO),
+        Object.assign(datosReserva("v1", "confirmada"), { solicitud: "s1" }));
+      batch.update(db.collection("viajes").doc("v1"), { cupos: 2, ultimaReserva: "v1_" + PASAJERO });
+      return firebase.assertSucceeds(batch.commit());
+    });
+
+    it("deja al conductor aceptar una solicitud descontando el lugar", function() {
+      return admin().collection("reservas").doc("v1_" + PASAJERO).set(datosReserva("v1", "pendiente"))
+        .then(function() {
+          const db = cliente(CONDUCTOR);
+          const batch = db.batch();
+          batch.update(db.collection("reservas").doc("v1_" + PASAJERO), {
+            estado: "confirmada",
+            respondida: firebase.firestore.FieldValue.serverTimestamp()
+          });
+          batch.update(db.collection("viajes").doc("v1"), { cupos: 2, ultimaReserva: "v1_" + PASAJERO });
+          return firebase.assertSucceeds(batch.commit());
+        });
+    });
+
+    it("no deja aceptar una solicitud sin descontar el lugar", function() {
+      return admin().collection("reservas").doc("v1_" + PASAJERO).set(datosReserva("v1", "pendiente"))
+        .then(function() {
+          return firebase.assertFails(cliente(CONDUCTOR).collection("reservas").doc("v1_" + PASAJERO)
+            .update({ estado: "confirmada" }));
+        });
+    });
+
+    it("deja cancelar una reserva confirmada devolviendo el lugar", function() {
+      return confirmarReservaV1().then(function() {
+        const db = cliente(PASAJERO);
+        const batch = db.batch();
+        batch.update(db.collection("reservas").doc("v1_" + PASAJERO), { estado: "cancelada" });
+        batch.update(db.collection("viajes").doc("v1"), { cupos: 3, ultimaReserva: "v1_" + PASAJERO });
+        return firebase.assertSucceeds(batch.commit());
+      });
+    });
+
+    it("no deja devolver el lugar dos veces", function() {
+      return confirmarReservaV1().then(function() {
+        return admin().collection("reservas").doc("v1_" + PASAJERO).update({ estado: "cancelada" });
+      })
+      .then(function() {
+        return firebase.assertFails(cliente(PASAJERO).collection("viajes").doc("v1")
+          .update({ cupos: 3, ultimaReserva: "v1_" + PASAJERO }));
+      });
+    });
+  });
+
+  describe("solicitudes", function() {
+    function nuevoPedido(cambios) {
+      return Object.assign({
+        pasajero: PASAJERO,
+        origen: "Cordoba",
+        destino: "Rosario",
+        salida: salidaEn(UN_DIA),
+        cupos: 1,
+        estado: "abierta",
+        creado: firebase.firestore.FieldValue.serverTimestamp(),
+        creadoPor: PASAJERO
+      }, cambios);
+    }
+
+    it("deja publicar un pedido propio solo con el email verificado", function() {
+      return Promise.all([
+        firebase.assertSucceeds(cliente(PASAJERO).collection("solicitudes").add(nuevoPedido({}))),
+        firebase.assertFails(clienteSinVerificar(PASAJERO).collection("solicitudes").add(nuevoPedido({})))
+      ]);
+    });
+
+    it("no deja pedir mas de un lugar ni una salida que no sea fecha", function() {
+      const solicitudes = cliente(PASAJERO).collection("solicitudes");
+      return Promise.all([
+        firebase.assertFails(solicitudes.add(nuevoPedido({ cupos: 3 }))),
+        firebase.assertFails(solicitudes.add(nuevoPedido({ salida: "manana" }))),
+        firebase.assertFails(solicitudes.add(nuevoPedido({ estado: "resuelta" })))
+      ]);
+    });
+
+    it("deja cerrar el pedido con el viaje reservado desde el", function() {
+      return admin().collection("reservas").doc("v1_" + PASAJERO)
+        .set(Object.assign(datosReserva("v1", "confirmada"), { solicitud: "s1" }))
+        .then(function() {
+          return firebase.assertSucceeds(cliente(PASAJERO).collection("solicitudes").doc("s1")
+            .update({ estado: "resuelta", viajeAceptado: "v1" }));
+        });
+    });
+
+    it("no deja cerrar el pedido sin reservar ni cambiar sus datos", function() {
+      const pedido = cliente(PASAJERO).collection("solicitudes").doc("s1");
+      return Promise.all([
+        firebase.assertFails(pedido.update({ estado: "resuelta", viajeAceptado: "v1" })),
+        firebase.assertFails(pedido.update({ pasajero: OTRO })),
+        firebase.assertFails(pedido.update({ cupos: 4 }))
+      ]);
+    });
+  });
+
+  describe("mensajes", function() {
+    function nuevoMensaje(uid) {
+      return {
+        autor: uid,
+        texto: "Hola",
+        enviado: firebase.firestore.FieldValue.serverTimestamp()
+      };
+    }
+
+    it("deja escribir al conductor y a los pasajeros confirmados", function() {
+      return confirmarReservaV1().then(function() {
+        return Promise.all([
+          firebase.assertSucceeds(cliente(CONDUCTOR).collection("viajes").doc("v1")
+            .collection("mensajes").add(nuevoMensaje(CONDUCTOR))),
+          firebase.assertSucceeds(cliente(PASAJERO).collection("viajes").doc("v1")
+            .collection("mensajes").add(nuevoMensaje(PASAJERO)))
+        ]);
+      });
+    });
+
+    it("no deja leer ni escribir a quien no viaja", function() {
+      const mensajes = cliente(OTRO).collection("viajes").doc("v1").collection("mensajes");
+      return Promise.all([
+        firebase.assertFails(mensajes.get()),
+        firebase.assertFails(mensajes.add(nuevoMensaje(OTRO)))
+      ]);
+    });
+  });
+
+  describe("usuarios y resenas", function() {
+    function calificacion(db, autor, destinatario, viajeId, puntajeResena, puntajePerfil) {
+      const resenaId = viajeId + "_" + autor + "_" + destinatario;
+      const batch = db.batch();
+      batch.set(db.collection("resenas").doc(resenaId), {
+        viaje: viajeId,
+        autor: autor,
+        destinatario: destinatario,
+        puntaje: puntajeResena,
+        comentario: ""
+      });
+      batch.set(db.collection("usuarios").doc(destinatario), {
+        calificaciones: {
+          suma: firebase.firestore.FieldValue.increment(puntajePerfil),
+          cantidad: firebase.firestore.FieldValue.increment(1)
+        },
+        ultimaResena: resenaId
+      }, { merge: true });
+      return batch.commit();
+    }
+
+    it("deja editar solo el perfil propio", function() {
+      return Promise.all([
+        firebase.assertSucceeds(cliente(PASAJERO).collection("usuarios").doc(PASAJERO)
+          .set({ nombre: "Ana" }, { merge: true })),
+        firebase.assertFails(cliente(OTRO).collection("usuarios").doc(PASAJERO)
+          .set({ nombre: "Ana" }, { merge: true }))
+      ]);
+    });
+
+    it("no deja cargarse calificaciones en el perfil propio", function() {
+      return firebase.assertFails(cliente(PASAJERO).collection("usuarios").doc(PASAJERO)
+        .set({ calificaciones: { suma: 50, cantidad: 10 } }, { merge: true }));
+    });
+
+    it("deja calificar al conductor despues de viajar", function() {
+      return firebase.assertSucceeds(calificacion(cliente(PASAJERO), PASAJERO, CONDUCTOR, "v0", 5, 5));
+    });
+
+    it("no deja sumar al perfil otro puntaje que el de la resena", function() {
+      return firebase.assertFails(calificacion(cliente(PASAJERO), PASAJERO, CONDUCTOR, "v0", 1, 5));
+    });
+
+    it("no deja calificar antes de la salida ni sin haber viajado", function() {
+      return confirmarReservaV1().then(function() {
+        return Promise.all([
+          firebase.assertFails(calificacion(cliente(PASAJERO), PASAJERO, CONDUCTOR, "v1", 5, 5)),
+          firebase.assertFails(calificacion(cliente(OTRO), OTRO, CONDUCTOR, "v0", 5, 5))
+        ]);
+      });
+    });
+
+    it("no deja calificar sin el email verificado", function() {
+      return firebase.assertFails(calificacion(clienteSinVerificar(PASAJERO), PASAJERO, CONDUCTOR, "v0", 5, 5));
+    });
+
+    it("no deja calificar dos veces", function() {
+      return calificacion(cliente(PASAJERO), PASAJERO, CONDUCTOR, "v0", 4, 4).then(function() {
+        return firebase.assertFails(calificacion(cliente(PASAJERO), PASAJERO, CONDUCTOR, "v0", 5, 5));
+      });
+    });
+  });
+
+  describe("notificaciones", function() {
+    function nuevaNotificacion(cambios) {
+      return Object.assign({
+        usuario: PASAJERO,
+        tipo: "viajeModificado",
+        viaje: "v1",
+        texto: "Cambio el viaje",
+        leida: false,
+        creada: firebase.firestore.FieldValue.serverTimestamp()
+      }, cambios);
+    }
+
+    it("deja al conductor avisar a sus pasajeros y no a otros usuarios", function() {
+      return confirmarReservaV1().then(function() {
+        return Promise.all([
+          firebase.assertSucceeds(cliente(CONDUCTOR).collection("notificaciones").add(nuevaNotificacion())),
+          firebase.assertFails(cliente(OTRO).collection("notificaciones").add(nuevaNotificacion()))
+        ]);
+      });
+    });
+
+    it("no deja al conductor avisar a quien no tiene reserva en el viaje", function() {
+      return firebase.assertFails(cliente(CONDUCTOR).collection("notificaciones")
+        .add(nuevaNotificacion({ usuario: OTRO })));
+    });
+
+    it("no deja avisar a quien cancelo su reserva", function() {
+      return admin().collection("reservas").doc("v1_" + PASAJERO).set(datosReserva("v1", "cancelada"))
+        .then(function() {
+          return firebase.assertFails(cliente(CONDUCTOR).collection("notificaciones").add(nuevaNotificacion()));
+        });
+    });
+
+    it("no deja escribir otros tipos ni campos de mas", function() {
+      return confirmarReservaV1().then(function() {
+        const notificaciones = cliente(CONDUCTOR).collection("notificaciones");
+        return Promise.all([
+          firebase.assertFails(notificaciones.add(nuevaNotificacion({ tipo: "reservaAceptada" }))),
+          firebase.assertFails(notificaciones.add(nuevaNotificacion({ enlace: "https://ejemplo.com" })))
+        ]);
+      });
+    });
+
+    it("deja al destinatario leerlas y marcarlas como leidas, sin cambiar el texto", function() {
+      const notificacion = admin().collection("notificaciones").doc("n1");
+      return notificacion.set(nuevaNotificacion()).then(function() {
+        const propia = cliente(PASAJERO).collection("notificaciones").doc("n1");
+        return Promise.all([
+          firebase.assertSucceeds(propia.update({ leida: true })),
+          firebase.assertFails(propia.update({ texto: "Otro texto" })),
+          firebase.assertFails(cliente(OTRO).collection("notificaciones").doc("n1").get())
+        ]);
+      });
+    });
+  });
+});
@@ -0,0 +1,249 @@
+// Migracion de los documentos de "viajes" escritos antes de modeloViaje.js.
+//
+// Los viajes viejos guardan fecha ("AAAA-MM-DD") y hora ("HH:MM") como textos
+// separados y cupos como texto. Este script los reescribe con la forma nueva:
+// salida (Timestamp), cupos y cuposTotales (numeros), creado y creadoPor.
+// Los documentos que ya tienen la forma nueva no se tocan y los que no se
+// pueden convertir se informan al final sin modificarlos.
+//
+// Uso (las dependencias se instalan una vez con "npm install" en scripts/):
+//   node scripts/migrarViajes.js [--dry-run] [--emulador] [--proyecto <id>]
+//                                [--zona-horaria -03:00] [--lote 400]
+//
+// Para probarla contra el emulador, desde scripts/:
+//   npm run migrar:emulador
+// que es lo mismo que
+//   firebase emulators:exec --only firestore "node migrarViajes.js --dry-run --emulador"
+//
+//   --dry-run       solo muestra lo que cambiaria, no escribe nada
+//   --emulador      usa el emulador de Firestore (FIRESTORE_EMULATOR_HOST o el
+//                   puerto de firebase.json si ya esta corriendo)
+//   --zona-horaria  desfase con el que se cargaron fecha y hora (por defecto -03:00)
+//   --lote          documentos por lectura y por batch de escritura (maximo 500)
+//
+// Contra produccion hacen falta credenciales de administrador, por ejemplo con
+// GOOGLE_APPLICATION_CREDENTIALS apuntando a una cuenta de servicio.
+
+const path = require("path");
+const Firestore = require("@google-cloud/firestore").Firestore;
+const FieldPath = require("@google-cloud/firestore").FieldPath;
+const FieldValue = require("@google-cloud/firestore").FieldValue;
+const Timestamp = require("@google-cloud/firestore").Timestamp;
+
+const PROYECTO_POR_DEFECTO = "aventapp-792f2";
+
+// El mismo maximo que CUPOS_MAXIMOS en www/js/modeloViaje.js
+const CUPOS_MAXIMOS = 4;
+
+function leerOpciones(argumentos) {
+  const opciones = {
+    dryRun: false,
+    emulador: false,
+    proyecto: process.env.GCLOUD_PROJECT || PROYECTO_POR_DEFECTO,
+    zonaHoraria: "-03:00",
+    lote: 400
+  };
+
+  for (let i = 0; i < argumentos.length; i++) {
+    switch (argumentos[i]) {
+      case "--dry-run":
+        opciones.dryRun = true;
+        break;
+      case "--emulador":
+        opciones.emulador = true;
+        break;
+      case "--proyecto":
+        opciones.proyecto = argumentos[++i];
+        break;
+      case "--zona-horaria":
+        opciones.zonaHoraria = argumentos[++i];
+        break;
+      case "--lote":
+        opciones.lote = Math.min(parseInt(argumentos[++i], 10), 500);
+        break;
+      default:
+        throw new Error("Opcion desconocida: " + argumentos[i]);
+    }
+  }
+
+  if (!/^[+-]\d\d:\d\d$/.test(opciones.zonaHoraria)) {
+    throw new Error("--zona-horaria tiene que tener la forma -03:00");
+  }
+  if (!(opciones.lote > 0)) {
+    throw new Error("--lote tiene que ser un numero mayor a 0");
+  }
+  return opciones;
+}
+
+// El emulador se configura con FIRESTORE_EMULATOR_HOST, que el SDK lee al crear
+// el cliente. Si no esta definida se usa el puerto declarado en firebase.json.
+
+function configurarEmulador() {
+  if (!process.env.FIRESTORE_EMULATOR_HOST) {
+    const configuracion = require(path.join(__dirname, "..", "firebase.json"));
+    process.env.FIRESTORE_EMULATOR_HOST = "localhost:" + configuracion.emulators.firestore.port;
+  }
+  return process.env.FIRESTORE_EMULATOR_HOST;
+}
+
+function yaMigrado(datos) {
+  return datos.salida instanceof Timestamp && typeof datos.cupos === "number";
+}
+
+// Devuelve los campos a escribir para un viaje viejo, o lanza un Error con el
+// motivo por el que no se puede convertir. "confirmadas" es la cantidad de
+// reservas confirmadas, que ya se descontaron de cupos.
+
+function convertirViaje(doc, confirmadas, zonaHoraria) {
+  const datos = doc.data();
+
+  if (!datos.origen || !String(datos.origen).trim()) {
+    throw new Error("origen vacio");
+  }
+  if (!datos.destino || !String(datos.destino).trim()) {
+    throw new Error("destino vacio");
+  }
+  if (!/^\d{4}-\d{2}-\d{2}$/.test(datos.fecha || "")) {
+    throw new Error("fecha invalida: " + JSON.stringify(datos.fecha));
+  }
+  if (!/^\d{2}:\d{2}$/.test(datos.hora || "")) {
+    throw new Error("hora invalida: " + JSON.stringify(datos.hora));
+  }
+
+  const salida = new Date(datos.fecha + "T" + datos.hora + ":00" + zonaHoraria);
+  if (isNaN(salida.getTime())) {
+    throw new Error("fecha y hora invalidas: " + datos.fecha + " " + datos.hora);
+  }
+
+  const cupos = typeof datos.cupos === "number" ? datos.cupos : Number(String(datos.cupos).trim());
+  if (!Number.isInteger(cupos) || cupos < 0) {
+    throw new Error("cupos invalidos: " + JSON.stringify(datos.cupos));
+  }
+  const cuposTotales = cupos + confirmadas;
+  if (cuposTotales < 1 || cuposTotales > CUPOS_MAXIMOS) {
+    throw new Error("cupos totales fuera de 1.." + CUPOS_MAXIMOS + ": " + cuposTotales +
+      " (cupos " + JSON.stringify(datos.cupos) + ", " + confirmadas + " confirmadas)");
+  }
+
+  return {
+    origen: String(datos.origen).trim(),
+    destino: String(datos.destino).trim(),
+    salida: Timestamp.fromDate(salida),
+    cupos: cupos,
+    cuposTotales: cuposTotales,
+    creado: datos.creado || doc.createTime,
+    creadoPor: datos.creadoPor || datos.conductor,
+    fecha: FieldValue.delete(),
+    hora: FieldValue.delete()
+  };
+}
+
+function contarConfirmadas(db, viajeId) {
+  return db.collection("reservas")
+    .where("viaje", "==", viajeId)
+    .where("estado", "==", "confirmada")
+    .get()
+    .then(querySnapshot => querySnapshot.size);
+}
+
+// Procesa una pagina de viajes: convierte cada documento y, fuera del dry-run,
+// escribe los convertidos en un solo batch
+
+function migrarPagina(db, docs, opciones, informe) {
+  const conversiones = docs.map(doc => {
+    if (yaMigrado(doc.data())) {
+      informe.yaMigrados++;
+      return Promise.resolve(null);
+    }
+    return contarConfirmadas(db, doc.id)
+      .then(confirmadas => {
+        return { doc: doc, cambios: convertirViaje(doc, confirmadas, opciones.zonaHoraria) };
+      })
+      .catch(error => {
+        informe.fallidos.push({ id: doc.id, motivo: error.message });
+        return null;
+      });
+  });
+
+  return Promise.all(conversiones).then(resultados => {
+    const convertidos = resultados.filter(resultado => resultado !== null);
+    const batch = db.batch();
+
+    convertidos.forEach(resultado => {
+      informe.convertidos++;
+      if (opciones.dryRun) {
+        console.log("[dry-run] " + resultado.doc.id + ": salida " +
+          resultado.cambios.salida.toDate().toISOString() + ", cupos " +
+          resultado.cambios.cupos + "/" + resultado.cambios.cuposTotales);
+      } else {
+        batch.update(resultado.doc.ref, resultado.cambios);
+      }
+    });
+
+    if (opciones.dryRun || convertidos.length === 0) {
+      return null;
+    }
+    return batch.commit();
+  });
+}
+
+// Recorre la coleccion por id de documento, de a "lote" documentos por vez
+
+function migrarDesde(db, ultimo, opciones, informe) {
+  let consulta = db.collection("viajes").orderBy(FieldPath.documentId()).limit(opciones.lote);
+  if (ultimo) {
+    consulta = consulta.startAfter(ultimo);
+  }
+
+  return consulta.get().then(querySnapshot => {
+    if (querySnapshot.empty) {
+      return informe;
+    }
+    informe.leidos += querySnapshot.size;
+    return migrarPagina(db, querySnapshot.docs, opciones, informe).then(() => {
+      const ultimoDoc = querySnapshot.docs[querySnapshot.docs.length - 1];
+      return migrarDesde(db, ultimoDoc.id, opciones, informe);
+    });
+  });
+}
+
+function migrarViajes(db, opciones) {
+  const informe = { leidos: 0, convertidos: 0, yaMigrados: 0, fallidos: [] };
+  return migrarDesde(db, null, opciones, informe);
+}
+
+function mostrarInforme(informe, opciones) {
+  console.log("");
+  console.log("Viajes leidos:       " + informe.leidos);
+  console.log((opciones.dryRun ? "Se convertirian:     " : "Convertidos:         ") + informe.convertidos);
+  console.log("Ya migrados:         " + informe.yaMigrados);
+  console.log("No convertidos:      " + informe.fallidos.length);
+  informe.fallidos.forEach(fallido => {
+    console.log("  " + fallido.id + ": " + fallido.motivo);
+  });
+}
+
+function main() {
+  const opciones = leerOpciones(process.argv.slice(2));
+  if (opciones.emulador) {
+    console.log("Usando el emulador de Firestore en " + configurarEmulador());
+  }
+
+  const db = new Firestore({ projectId: opciones.proyecto });
+  return migrarViajes(db, opciones).then(informe => {
+    mostrarInforme(informe, opciones);
+    if (informe.fallidos.length > 0) {
+      process.exitCode = 1;
+    }
+    return informe;
+  });
+}
+
+if (require.main === module) {
+  Promise.resolve().then(main).catch(error => {
+    console.error(error.message);
+    process.exitCode = 2;
+  });
+}
+
+module.exports = { convertirViaje, migrarViajes, yaMigrado };
@@ -0,0 +1,419 @@
+// Revisa que firestore.indexes.json tenga un indice compuesto para cada consulta
+// que hace la app.
+//
+// Las consultas se sacan del codigo de www/js y de functions (solo los .js de
+// cada carpeta, sin las pruebas ni node_modules): las cadenas que empiezan en
+// collection("...") y siguen con where(...) y orderBy(...), y las variables que
+// se van completando despues (consulta = consulta.where(...)). Lo que se agrega
+// a la variable dentro de un if es opcional y se revisan todas las
+// combinaciones, como en la busqueda de buscar.js.
+//
+// Una consulta necesita indice compuesto cuando usa mas de un campo entre sus
+// filtros y su orden. Las que solo tienen igualdades Firestore a veces las
+// resuelve uniendo indices simples, pero tambien se piden para no depender de eso.
+//
+// Uso:
+//   node scripts/revisarIndices.js
+//
+// Las pruebas del script corren con "npm test" en scripts/.
+//
+// Termina con codigo 1 y muestra la entrada que falta para cada consulta sin
+// indice, lista para copiar en firestore.indexes.json.
+
+const fs = require("fs");
+const path = require("path");
+
+const RAIZ = path.join(__dirname, "..");
+const CARPETAS = [path.join("www", "js"), "functions"];
+const ARCHIVO_INDICES = path.join(RAIZ, "firestore.indexes.json");
+
+const OPERADORES_RANGO = ["<", "<=", ">", ">="];
+const METODOS_CONSULTA = ["where", "orderBy", "limit", "startAt", "startAfter", "endAt", "endBefore"];
+
+// Cantidad maxima de filtros opcionales de una variable (2^n combinaciones)
+const MAXIMO_OPCIONALES = 8;
+
+// Los comentarios del codigo van en lineas propias. Se vacian sin borrar el
+// salto de linea para que los numeros de linea sigan siendo los del archivo.
+
+function quitarComentarios(codigo) {
+  return codigo.replace(/^[ \t]*\/\/.*$/gm, "");
+}
+
+function numeroDeLinea(codigo, posicion) {
+  return codigo.slice(0, posicion).split("\n").length;
+}
+
+// Lee lo que hay entre el parentesis de "inicio" y el que lo cierra
+
+function leerArgumentos(codigo, inicio) {
+  let profundidad = 0;
+  let comillas = null;
+
+  for (let i = inicio; i < codigo.length; i++) {
+    const caracter = codigo[i];
+    if (comillas) {
+      if (caracter === "\\") {
+        i++;
+      } else if (caracter === comillas) {
+        comillas = null;
+      }
+    } else if (caracter === "\"" || caracter === "'" || caracter === "`") {
+      comillas = caracter;
+    } else if (caracter === "(") {
+      profundidad++;
+    } else if (caracter === ")") {
+      profundidad--;
+      if (profundidad === 0) {
+        return { texto: codigo.slice(inicio + 1, i), fin: i + 1 };
+      }
+    }
+  }
+  throw new Error("parentesis sin cerrar en la posicion " + inicio);
+}
+
+// Lee las llamadas encadenadas (.metodo(...)) a partir de "inicio"
+
+function leerCadena(codigo, inicio) {
+  const patron = /\s*\.\s*([A-Za-z_$][\w$]*)\s*\(/y;
+  const llamadas = [];
+  let posicion = inicio;
+
+  for (;;) {
+    patron.lastIndex = posicion;
+    const coincidencia = patron.exec(codigo);
+    if (coincidencia === null) {
+      break;
+    }
+    const argumentos = leerArgumentos(codigo, patron.lastIndex - 1);
+    llamadas.push({ metodo: coincidencia[1], argumentos: argumentos.texto });
+    posicion = argumentos.fin;
+  }
+  return { llamadas: llamadas, fin: posicion };
+}
+
+// Las llamadas de consulta del principio de la cadena. Si la cadena sigue con
+// doc(...) es una referencia a un documento y no una consulta.
+
+function llamadasDeConsulta(llamadas) {
+  const resultado = [];
+  for (const llamada of llamadas) {
+    if (METODOS_CONSULTA.indexOf(llamada.metodo) === -1) {
+      return { llamadas: resultado, completa: false, esDocumento: llamada.metodo === "doc" };
+    }
+    resultado.push(llamada);
+  }
+  return { llamadas: resultado, completa: true, esDocumento: false };
+}
+
+function leerTexto(argumento) {
+  const coincidencia = /^\s*(["'])([^"']*)\1\s*$/.exec(argumento);
+  return coincidencia ? coincidencia[2] : null;
+}
+
+// Separa los argumentos de primer nivel de una llamada
+
+function separarArgumentos(texto) {
+  const partes = [];
+  let profundidad = 0;
+  let comillas = null;
+  let desde = 0;
+
+  for (let i = 0; i < texto.length; i++) {
+    const caracter = texto[i];
+    if (comillas) {
+      if (caracter === "\\") {
+        i++;
+      } else if (caracter === comillas) {
+        comillas = null;
+      }
+    } else if (caracter === "\"" || caracter === "'" || caracter === "`") {
+      comillas = caracter;
+    } else if ("([{".indexOf(caracter) !== -1) {
+      profundidad++;
+    } else if (")]}".indexOf(caracter) !== -1) {
+      profundidad--;
+    } else if (caracter === "," && profundidad === 0) {
+      partes.push(texto.slice(desde, i));
+      desde = i + 1;
+    }
+  }
+  partes.push(texto.slice(desde));
+  return partes;
+}
+
+// Agrega a la consulta los filtros y el orden de una llamada
+
+function aplicarLlamada(consulta, llamada) {
+  const argumentos = separarArgumentos(llamada.argumentos);
+
+  if (llamada.metodo === "where") {
+    const campo = leerTexto(argumentos[0]);
+    const operador = leerTexto(argumentos[1] || "");
+    if (campo === null || operador === null) {
+      throw new Error("where con campo u operador que no es un texto fijo: where(" + llamada.argumentos + ")");
+    }
+    if (operador !== "==" && OPERADORES_RANGO.indexOf(operador) === -1) {
+      throw new Error("operador no soportado por el script: " + operador);
+    }
+    consulta.filtros.push({ campo: campo, operador: operador });
+  } else if (llamada.metodo === "orderBy") {
+    const campo = leerTexto(argumentos[0]);
+    const direccion = argumentos.length > 1 ? leerTexto(argumentos[1]) : "asc";
+    if (campo === null || (direccion !== "asc" && direccion !== "desc")) {
+      throw new Error("orderBy que no se puede leer: orderBy(" + llamada.argumentos + ")");
+    }
+    consulta.orden.push({ campo: campo, direccion: direccion });
+  }
+}
+
+function nuevaConsulta(coleccion, ubicacion, llamadas) {
+  const consulta = { coleccion: coleccion, ubicacion: ubicacion, filtros: [], orden: [] };
+  llamadas.forEach(llamada => aplicarLlamada(consulta, llamada));
+  return consulta;
+}
+
+// Profundidad de llaves al llegar a "hasta" contando desde "desde", y la menor
+// profundidad por la que se paso (negativa si se cerro el bloque de "desde")
+
+function recorrerLlaves(codigo, desde, hasta) {
+  let profundidad = 0;
+  let minima = 0;
+  for (let i = desde; i < hasta; i++) {
+    if (codigo[i] === "{") {
+      profundidad++;
+    } else if (codigo[i] === "}") {
+      profundidad--;
+      minima = Math.min(minima, profundidad);
+    }
+  }
+  return { profundidad: profundidad, minima: minima };
+}
+
+// Busca las reasignaciones "nombre = nombre.where(...)" despues de declarar la
+// variable, hasta que se cierra el bloque donde se declaro. Las que estan en un
+// bloque mas adentro (un if) son opcionales.
+
+function leerReasignaciones(codigo, nombre, desde) {
+  const variable = nombre.replace(/\$/g, "\\$");
+  const patron = new RegExp("\\b" + variable + "\\s*=\\s*" + variable + "(?=\\s*\\.)", "g");
+  const reasignaciones = [];
+  let coincidencia;
+
+  patron.lastIndex = desde;
+  while ((coincidencia = patron.exec(codigo)) !== null) {
+    const llaves = recorrerLlaves(codigo, desde, coincidencia.index);
+    if (llaves.minima < 0) {
+      break;
+    }
+    const cadena = leerCadena(codigo, patron.lastIndex);
+    reasignaciones.push({
+      llamadas: llamadasDeConsulta(cadena.llamadas).llamadas,
+      opcional: llaves.profundidad > 0
+    });
+  }
+  return reasignaciones;
+}
+
+// Todas las combinaciones de una variable: lo fijo mas cada subconjunto de lo opcional
+
+function combinaciones(reasignaciones) {
+  const opcionales = reasignaciones.filter(reasignacion => reasignacion.opcional);
+  if (opcionales.length > MAXIMO_OPCIONALES) {
+    throw new Error("demasiados filtros opcionales (" + opcionales.length + ")");
+  }
+
+  const resultado = [];
+  for (let mascara = 0; mascara < (1 << opcionales.length); mascara++) {
+    resultado.push(reasignaciones.filter(reasignacion => {
+      const indice = opcionales.indexOf(reasignacion);
+      return indice === -1 || (mascara & (1 << indice)) !== 0;
+    }));
+  }
+  return resultado;
+}
+
+// Todas las consultas de un archivo
+
+function extraerConsultas(nombreArchivo, codigoOriginal) {
+  const codigo = quitarComentarios(codigoOriginal);
+  const patron = /\.collection\(\s*(["'])([^"']+)\1\s*\)/g;
+  const consultas = [];
+  let coincidencia;
+
+  while ((coincidencia = patron.exec(codigo)) !== null) {
+    const coleccion = coincidencia[2];
+    const ubicacion = nombreArchivo + ":" + numeroDeLinea(codigo, coincidencia.index);
+    const cadena = leerCadena(codigo, patron.lastIndex);
+    const inicio = llamadasDeConsulta(cadena.llamadas);
+    if (inicio.esDocumento) {
+      continue;
+    }
+
+    // "var consulta = db.collection(...)...;" se sigue completando mas abajo
+    const declaracion = /(?:var|let|const)\s+([\w$]+)\s*=\s*[\w$.]*$/.exec(codigo.slice(0, coincidencia.index));
+    if (declaracion !== null && inicio.completa) {
+      const reasignaciones = leerReasignaciones(codigo, declaracion[1], cadena.fin);
+      combinaciones(reasignaciones).forEach(elegidas => {
+        const llamadas = elegidas.reduce((todas, reasignacion) => todas.concat(reasignacion.llamadas), inicio.llamadas);
+        consultas.push(nuevaConsulta(coleccion, ubicacion, llamadas));
+      });
+    } else {
+      consultas.push(nuevaConsulta(coleccion, ubicacion, inicio.llamadas));
+    }
+  }
+  return consultas;
+}
+
+// Indice compuesto que necesita una consulta, o null si le alcanza con los
+// indices simples. Los campos con igualdad van primero y en cualquier orden,
+// despues los del orden (el campo con rango se ordena aunque no haya orderBy).
+
+function indiceNecesario(consulta) {
+  const igualdades = [];
+  const rangos = [];
+  consulta.filtros.forEach(filtro => {
+    const lista = filtro.operador === "==" ? igualdades : rangos;
+    if (lista.indexOf(filtro.campo) === -1) {
+      lista.push(filtro.campo);
+    }
+  });
+  if (rangos.length > 1) {
+    throw new Error("Firestore no permite filtros de rango en mas de un campo: " + rangos.join(", "));
+  }
+
+  let orden = consulta.orden.slice();
+  if (orden.length === 0 && rangos.length === 1) {
+    orden = [{ campo: rangos[0], direccion: "asc" }];
+  }
+  // Ordenar por un campo que se filtra con igualdad no cambia nada
+  orden = orden.filter(campo => igualdades.indexOf(campo.campo) === -1);
+
+  if (igualdades.length + orden.length < 2) {
+    return null;
+  }
+  return { coleccion: consulta.coleccion, igualdades: igualdades, orden: orden };
+}
+
+function ordenDelIndice(direccion) {
+  return direccion === "desc" ? "DESCENDING" : "ASCENDING";
+}
+
+function cubre(indice, necesario) {
+  if (indice.collectionGroup !== necesario.coleccion || (indice.queryScope || "COLLECTION") !== "COLLECTION") {
+    return false;
+  }
+  const campos = indice.fields || [];
+  const cantidadIgualdades = necesario.igualdades.length;
+  if (campos.length !== cantidadIgualdades + necesario.orden.length) {
+    return false;
+  }
+
+  const prefijo = campos.slice(0, cantidadIgualdades).map(campo => campo.fieldPath);
+  return necesario.igualdades.every(campo => prefijo.indexOf(campo) !== -1) &&
+    necesario.orden.every((campo, i) => {
+      const campoIndice = campos[cantidadIgualdades + i];
+      return campoIndice.fieldPath === campo.campo && campoIndice.order === ordenDelIndice(campo.direccion);
+    });
+}
+
+// La entrada de firestore.indexes.json que cubre el indice necesario
+
+function entradaDeIndice(necesario) {
+  return {
+    collectionGroup: necesario.coleccion,
+    queryScope: "COLLECTION",
+    fields: necesario.igualdades.map(campo => ({ fieldPath: campo, order: "ASCENDING" }))
+      .concat(necesario.orden.map(campo => ({ fieldPath: campo.campo, order: ordenDelIndice(campo.direccion) })))
+  };
+}
+
+function describirConsulta(consulta) {
+  const partes = consulta.filtros.map(filtro => filtro.campo + " " + filtro.operador)
+    .concat(consulta.orden.map(campo => "orderBy " + campo.campo + (campo.direccion === "desc" ? " desc" : "")));
+  return consulta.coleccion + (partes.length > 0 ? " [" + partes.join(", ") + "]" : "");
+}
+
+// Revisa las consultas contra los indices. Devuelve las que no tienen indice
+// y los errores de las que no se pudieron leer.
+
+function revisarIndices(archivos, indices) {
+  const informe = { revisadas: 0, faltantes: [], errores: [] };
+  const vistas = {};
+
+  archivos.forEach(archivo => {
+    let consultas;
+    try {
+      consultas = extraerConsultas(archivo.nombre, archivo.codigo);
+    } catch (error) {
+      informe.errores.push({ ubicacion: archivo.nombre, motivo: error.message });
+      return;
+    }
+
+    consultas.forEach(consulta => {
+      const clave = consulta.ubicacion + " " + describirConsulta(consulta);
+      if (vistas[clave]) {
+        return;
+      }
+      vistas[clave] = true;
+      informe.revisadas++;
+
+      try {
+        const necesario = indiceNecesario(consulta);
+        if (necesario !== null && !indices.some(indice => cubre(indice, necesario))) {
+          informe.faltantes.push({ consulta: consulta, indice: entradaDeIndice(necesario) });
+        }
+      } catch (error) {
+        informe.errores.push({ ubicacion: consulta.ubicacion, motivo: error.message });
+      }
+    });
+  });
+  return informe;
+}
+
+function leerArchivos(carpeta) {
+  return fs.readdirSync(path.join(RAIZ, carpeta))
+    .filter(nombre => nombre.endsWith(".js"))
+    .sort()
+    .map(nombre => ({
+      nombre: path.join(carpeta, nombre),
+      codigo: fs.readFileSync(path.join(RAIZ, carpeta, nombre), "utf8")
+    }));
+}
+
+function mostrarInforme(informe) {
+  console.log("Consultas revisadas: " + informe.revisadas);
+  informe.errores.forEach(error => {
+    console.log("No se pudo revisar " + error.ubicacion + ": " + error.motivo);
+  });
+  informe.faltantes.forEach(faltante => {
+    console.log("");
+    console.log("Falta un indice para " + faltante.consulta.ubicacion + ": " + describirConsulta(faltante.consulta));
+    console.log(JSON.stringify(faltante.indice, null, 2));
+  });
+  if (informe.faltantes.length === 0 && informe.errores.length === 0) {
+    console.log("Todas las consultas tienen indice");
+  }
+}
+
+function main() {
+  const indices = JSON.parse(fs.readFileSync(ARCHIVO_INDICES, "utf8")).indexes || [];
+  const archivos = CARPETAS.reduce((todos, carpeta) => todos.concat(leerArchivos(carpeta)), []);
+  const informe = revisarIndices(archivos, indices);
+  mostrarInforme(informe);
+  if (informe.faltantes.length > 0 || informe.errores.length > 0) {
+    process.exitCode = 1;
+  }
+  return informe;
+}
+
+if (require.main === module) {
+  try {
+    main();
+  } catch (error) {
+    console.error(error.message);
+    process.exitCode = 2;
+  }
+}
+
+module.exports = { extraerConsultas, indiceNecesario, revisarIndices };
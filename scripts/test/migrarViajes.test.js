@@ -0,0 +1,75 @@
+// Pruebas de la conversion de viajes viejos de migrarViajes.js. No leen ni
+// escriben en Firestore: cada documento es un objeto con data() y createTime.
+
+const assert = require("assert");
+const Timestamp = require("@google-cloud/firestore").Timestamp;
+const migracion = require("../migrarViajes");
+
+const CREADO = Timestamp.fromDate(new Date("2020-01-01T12:00:00Z"));
+
+function viejo(cambios) {
+  const datos = Object.assign({
+    origen: " Cordoba ",
+    destino: "Rosario",
+    fecha: "2020-03-15",
+    hora: "08:30",
+    cupos: "3",
+    conductor: "conductor"
+  }, cambios);
+  return { data: () => datos, createTime: CREADO };
+}
+
+function motivo(doc, confirmadas) {
+  try {
+    migracion.convertirViaje(doc, confirmadas, "-03:00");
+  } catch (error) {
+    return error.message;
+  }
+  return null;
+}
+
+describe("convertirViaje", () => {
+  it("convierte fecha, hora y cupos de texto", () => {
+    const cambios = migracion.convertirViaje(viejo({}), 0, "-03:00");
+    assert.strictEqual(cambios.origen, "Cordoba");
+    assert.strictEqual(cambios.salida.toDate().toISOString(), "2020-03-15T11:30:00.000Z");
+    assert.strictEqual(cambios.cupos, 3);
+    assert.strictEqual(cambios.cuposTotales, 3);
+    assert.strictEqual(cambios.creado, CREADO);
+    assert.strictEqual(cambios.creadoPor, "conductor");
+  });
+
+  it("suma las reservas confirmadas a los cupos totales", () => {
+    const cambios = migracion.convertirViaje(viejo({ cupos: "1" }), 2, "-03:00");
+    assert.strictEqual(cambios.cupos, 1);
+    assert.strictEqual(cambios.cuposTotales, 3);
+  });
+
+  it("acepta un viaje lleno si tiene reservas confirmadas", () => {
+    const cambios = migracion.convertirViaje(viejo({ cupos: "0" }), 2, "-03:00");
+    assert.strictEqual(cambios.cupos, 0);
+    assert.strictEqual(cambios.cuposTotales, 2);
+  });
+
+  it("no convierte los cupos de relleno \"...\"", () => {
+    assert.ok(/cupos invalidos/.test(motivo(viejo({ cupos: "..." }), 0)));
+  });
+
+  it("no convierte fecha u hora vacias", () => {
+    assert.ok(/fecha invalida/.test(motivo(viejo({ fecha: "" }), 0)));
+    assert.ok(/hora invalida/.test(motivo(viejo({ hora: "" }), 0)));
+  });
+
+  it("no convierte cupos totales fuera de 1 a 4", () => {
+    assert.ok(/fuera de 1..4/.test(motivo(viejo({ cupos: "" }), 0)));
+    assert.ok(/fuera de 1..4/.test(motivo(viejo({ cupos: "0" }), 0)));
+    assert.ok(/fuera de 1..4/.test(motivo(viejo({ cupos: "4" }), 1)));
+  });
+});
+
+describe("yaMigrado", () => {
+  it("reconoce los viajes con salida y cupos numericos", () => {
+    assert.strictEqual(migracion.yaMigrado({ salida: CREADO, cupos: 2 }), true);
+    assert.strictEqual(migracion.yaMigrado({ fecha: "2020-03-15", hora: "08:30", cupos: "2" }), false);
+  });
+});
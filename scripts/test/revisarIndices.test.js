@@ -0,0 +1,92 @@
+// Pruebas de revisarIndices.js con codigo de ejemplo en lugar de los archivos
+// de www/js y functions
+
+const assert = require("assert");
+const revision = require("../revisarIndices");
+
+const INDICES = [
+  {
+    collectionGroup: "viajes",
+    queryScope: "COLLECTION",
+    fields: [
+      { fieldPath: "origen", order: "ASCENDING" },
+      { fieldPath: "salida", order: "ASCENDING" }
+    ]
+  },
+  {
+    collectionGroup: "notificaciones",
+    queryScope: "COLLECTION",
+    fields: [
+      { fieldPath: "usuario", order: "ASCENDING" },
+      { fieldPath: "creada", order: "DESCENDING" }
+    ]
+  }
+];
+
+function revisar(codigo) {
+  return revision.revisarIndices([{ nombre: "ejemplo.js", codigo: codigo }], INDICES);
+}
+
+describe("revisarIndices", () => {
+  it("acepta una consulta con su indice", () => {
+    const informe = revisar([
+      "function buscar(origen) {",
+      "  return db.collection(\"viajes\")",
+      "    .where(\"origen\", \"==\", origen)",
+      "    .where(\"salida\", \">=\", new Date())",
+      "    .get();",
+      "}"
+    ].join("\n"));
+    assert.strictEqual(informe.revisadas, 1);
+    assert.deepStrictEqual(informe.faltantes, []);
+    assert.deepStrictEqual(informe.errores, []);
+  });
+
+  it("informa el indice que falta con su ubicacion", () => {
+    const informe = revisar([
+      "// Viajes de un conductor",
+      "db.collection(\"viajes\").where(\"conductor\", \"==\", uid).orderBy(\"salida\").get();"
+    ].join("\n"));
+    assert.strictEqual(informe.faltantes.length, 1);
+    assert.strictEqual(informe.faltantes[0].consulta.ubicacion, "ejemplo.js:2");
+    assert.deepStrictEqual(informe.faltantes[0].indice, {
+      collectionGroup: "viajes",
+      queryScope: "COLLECTION",
+      fields: [
+        { fieldPath: "conductor", order: "ASCENDING" },
+        { fieldPath: "salida", order: "ASCENDING" }
+      ]
+    });
+  });
+
+  it("distingue el orden descendente", () => {
+    const descendente = revisar("db.collection(\"notificaciones\").where(\"usuario\", \"==\", uid)" +
+      ".orderBy(\"creada\", \"desc\").limit(50).get();");
+    const ascendente = revisar("db.collection(\"notificaciones\").where(\"usuario\", \"==\", uid)" +
+      ".orderBy(\"creada\").get();");
+    assert.deepStrictEqual(descendente.faltantes, []);
+    assert.strictEqual(ascendente.faltantes.length, 1);
+    assert.strictEqual(ascendente.faltantes[0].indice.fields[1].order, "ASCENDING");
+  });
+
+  it("revisa cada combinacion de los filtros opcionales", () => {
+    const informe = revisar([
+      "var consulta = db.collection(\"viajes\").orderBy(\"salida\");",
+      "if (origen) {",
+      "  consulta = consulta.where(\"origen\", \"==\", origen);",
+      "}",
+      "if (destino) {",
+      "  consulta = consulta.where(\"destino\", \"==\", destino);",
+      "}"
+    ].join("\n"));
+    assert.strictEqual(informe.revisadas, 4);
+    const faltantes = informe.faltantes.map(faltante => faltante.indice.fields.map(campo => campo.fieldPath));
+    assert.deepStrictEqual(faltantes, [["destino", "salida"], ["origen", "destino", "salida"]]);
+  });
+
+  it("no toma las referencias a documentos como consultas", () => {
+    const informe = revisar("db.collection(\"viajes\").doc(id).collection(\"mensajes\").orderBy(\"enviado\").get();");
+    assert.strictEqual(informe.revisadas, 1);
+    assert.deepStrictEqual(informe.faltantes, []);
+  });
+});
@@ -0,0 +1,68 @@
+// Numero de la ultima busqueda. Si se busca otra vez antes de que llegue la
+// respuesta anterior, esa respuesta ya no se muestra.
+var ultimaBusqueda = 0;
+
+// Inicio de funcion buscar viajes por origen, destino, fecha y cupos
+
+function buscarViajes() {
+  var buscarOrigen = document.getElementById("buscarOrigen").value.trim();
+  var buscarDestino = document.getElementById("buscarDestino").value.trim();
+  var buscarFecha = document.getElementById("buscarFecha").value;
+  var buscarFechaHasta = document.getElementById("buscarFechaHasta").value;
+  var cuposMinimos = parseInt(document.getElementById("buscarCupos").value, 10);
+
+  var consulta = db.collection("viajes");
+
+  if (buscarOrigen !== "") {
+    consulta = consulta.where("origen", "==", buscarOrigen);
+  }
+  if (buscarDestino !== "") {
+    consulta = consulta.where("destino", "==", buscarDestino);
+  }
+
+  // Sin "hasta" se busca el dia exacto, con "hasta" el rango de dias completo.
+  // Sin fechas se buscan solo los viajes que todavia no salieron.
+  var desde = buscarFecha !== "" ? unirFechaHora(buscarFecha, "00:00") : new Date();
+  var ultimoDia = buscarFechaHasta !== "" ? buscarFechaHasta : buscarFecha;
+  consulta = consulta.where("salida", ">=", firebase.firestore.Timestamp.fromDate(desde));
+  if (ultimoDia !== "") {
+    var hasta = unirFechaHora(ultimoDia, "00:00");
+    hasta.setDate(hasta.getDate() + 1);
+    consulta = consulta.where("salida", "<", firebase.firestore.Timestamp.fromDate(hasta));
+  }
+  consulta = consulta.orderBy("salida");
+
+  var resultados = document.getElementById("resultadosBusqueda");
+  resultados.innerHTML = "";
+  var vigente = vistaVigente();
+  var busqueda = ++ultimaBusqueda;
+
+  consulta.get().then((querySnapshot) => {
+    if (!vigente() || busqueda !== ultimaBusqueda) {
+      return 0;
+    }
+    resultados.innerHTML = "";
+    var encontrados = 0;
+
+    // Firestore no permite un segundo filtro de rango, los cupos se filtran aca
+    querySnapshot.forEach((doc) => {
+      if (doc.data().estado !== "cancelado" && doc.data().cupos >= cuposMinimos) {
+        resultados.appendChild(crearTarjetaViaje(doc));
+        encontrados++;
+      }
+    });
+
+    if (encontrados === 0) {
+      var sinResultados = document.createElement("p");
+      sinResultados.appendChild(document.createTextNode("No se encontraron viajes"));
+      resultados.appendChild(sinResultados);
+    }
+    return encontrados;
+  })
+  .catch(function(error){
+
+    console.log("Error ", error);
+  });
+}
+
+registrarRuta("buscar", { plantilla: "vista-buscar" });
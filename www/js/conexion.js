@@ -0,0 +1,50 @@
+// Estado de la conexion. Sin red se muestra el aviso de arriba de la pantalla.
+// Con la persistencia de Firestore (ver firebase.js) las vistas siguen
+// mostrando lo que quedo guardado en el dispositivo y lo que se escribe queda
+// en cola hasta que vuelve la conexion. Mientras tanto los documentos con
+// escrituras sin confirmar (metadata.hasPendingWrites) se marcan como
+// pendientes de sincronizar.
+
+var TEXTO_PENDIENTE = "Pendiente de sincronizar";
+
+function hayConexion() {
+  return navigator.onLine !== false;
+}
+
+function mostrarAvisoConexion() {
+  document.getElementById("avisoSinConexion").style.display = hayConexion() ? "none" : "";
+}
+
+// Sin conexion la promesa de una escritura (add, set, update o un batch) recien
+// se resuelve cuando el servidor la confirma, aunque ya quedo en cola. En ese
+// caso no se espera y el error, si llega, solo se registra. Con conexion se
+// devuelve la misma promesa para poder mostrar el error.
+
+function esperarEscritura(escritura) {
+  if (hayConexion()) {
+    return escritura;
+  }
+  escritura.catch(function(error) {
+    console.log("Error ", error);
+  });
+  return Promise.resolve(null);
+}
+
+// Agrega o quita la marca de pendiente de un elemento segun su documento
+
+function marcarPendiente(elemento, doc) {
+  var marca = elemento.querySelector(".pendienteSincronizar");
+
+  if (doc.metadata.hasPendingWrites && !marca) {
+    marca = document.createElement("p");
+    marca.className = "pendienteSincronizar";
+    marca.appendChild(document.createTextNode(TEXTO_PENDIENTE));
+    elemento.appendChild(marca);
+  } else if (!doc.metadata.hasPendingWrites && marca) {
+    marca.parentNode.removeChild(marca);
+  }
+}
+
+window.addEventListener("online", mostrarAvisoConexion);
+window.addEventListener("offline", mostrarAvisoConexion);
+document.addEventListener("DOMContentLoaded", mostrarAvisoConexion);
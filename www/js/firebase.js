@@ -16,157 +16,633 @@
   
   var db = firebase.firestore();
 
+  // Persistencia sin conexion: las consultas se responden desde la cache del
+  // dispositivo y las escrituras quedan en cola hasta que vuelve la red. Falla
+  // si la app ya esta abierta en otra pestaña o el navegador no la soporta, y
+  // en ese caso se sigue sin cache.
+  db.enablePersistence().catch(function(error) {
+    console.log("Error ", error);
+  });
+
+  // Los emails de verificacion y de cambio de contraseña se envian en castellano
+  firebase.auth().languageCode = "es";
 
+// Ingreso en curso. Despues del ingreso puede quedar trabajo pendiente (vincular
+// una cuenta de Google o Facebook, enviar el email de verificacion) y
+// observador espera a que termine antes de salir de la pantalla de ingreso.
+var ingresoEnCurso = Promise.resolve(null);
 
 // Inicio de funcion ingresar con autenticacion mail y password 
 
 function ingresar() {
-  var email = document.getElementById("usuario").value;
+  var email = document.getElementById("usuario").value.trim();
   var password = document.getElementById("contra").value;
+  var boton = document.getElementById("ingreso");
+
+  if (email === "" || password === "") {
+    mostrarMensajeAuth("mensajeIngreso", "Completa el usuario y la contraseña");
+    return;
+  }
+  limpiarMensajeAuth("mensajeIngreso");
+  estadoCargando(boton, true, "Ingresando...");
 
-  firebase.auth().signInWithEmailAndPassword(email, password).catch(function(error) {
+  ingresoEnCurso = firebase.auth().signInWithEmailAndPassword(email, password)
+  .then(vincularCredencialPendiente)
+  .catch(function(error) {
     // Handle Errors here.
+    estadoCargando(boton, false);
+    mostrarErrorAuth("mensajeIngreso", error);
     var errorCode = error.code;
     var errorMessage = error.message;
     // ...
     console.log(errorCode);
     console.log(errorMessage);
+    return null;
   });
 }
 
 // Inicio de funcion crear usuario con autenticacion mail y password
 
 function crearUsuario() {
-var email = document.getElementById("usuario2").value;
+var email = document.getElementById("usuario2").value.trim();
 var password = document.getElementById("contra2").value;
+var boton = document.getElementById("Crear");
 
-firebase.auth().createUserWithEmailAndPassword(email, password).catch(function(error) {
+if (email === "" || password === "") {
+  mostrarMensajeAuth("mensajeRegistro", "Completa el usuario y la contraseña");
+  return;
+}
+limpiarMensajeAuth("mensajeRegistro");
+estadoCargando(boton, true, "Creando cuenta...");
+
+ingresoEnCurso = firebase.auth().createUserWithEmailAndPassword(email, password)
+.then(function(credencial) {
+  return credencial.user.sendEmailVerification();
+})
+.catch(function(error) {
   // Handle Errors here.
+  estadoCargando(boton, false);
+  mostrarErrorAuth("mensajeRegistro", error);
   var errorCode = error.code;
   var errorMessage = error.message;
   // ...
   console.log(errorCode);
   console.log(errorMessage);
+  return null;
 });
 } 
 
-function observador() {
-firebase.auth().onAuthStateChanged(function(user) {
-  if (user) {
-    name = user.displayName;
-    email = user.email;
-    photoUrl = user.photoURL;
-    emailVerified = user.emailVerified;
-    uid = user.uid;
-    console.log("EXISTE");
+// Inicio de funcion pedir el email para cambiar la contraseña
 
-    location.href = "public/main.html";
-   
-  } else {
-    // No user is signed in.
+function recuperarContra() {
+  var email = document.getElementById("usuarioRecuperar").value.trim();
+  var boton = document.getElementById("btnRecuperar");
+
+  if (email === "") {
+    mostrarMensajeAuth("mensajeRecuperar", "Introduce el email de tu cuenta");
+    return;
   }
-});
+  limpiarMensajeAuth("mensajeRecuperar");
+  estadoCargando(boton, true, "Enviando...");
+
+  firebase.auth().sendPasswordResetEmail(email).then(function() {
+    estadoCargando(boton, false);
+    mostrarMensajeAuth("mensajeRecuperar", "Te enviamos un email a " + email + " para cambiar la contraseña");
+    return null;
+  })
+  .catch(function(error) {
+    estadoCargando(boton, false);
+    mostrarErrorAuth("mensajeRecuperar", error);
+    console.log(error.code);
+  });
 }
 
-if(document.title == "AventApp"){
-observador();
+// Inicio de funcion exigir email verificado para publicar viajes o reservar.
+// Se recarga el usuario porque emailVerified no se actualiza solo cuando se
+// abre el link de verificacion en otra ventana, y se pide un token nuevo
+// porque las reglas de Firestore miran el email_verified del token.
+
+var EMAIL_NO_VERIFICADO = "email-no-verificado";
+
+function exigirEmailVerificado() {
+  var usuario = firebase.auth().currentUser;
+  if (!usuario) {
+    return Promise.reject(new Error("Tenes que iniciar sesion"));
+  }
+  if (usuario.emailVerified) {
+    return Promise.resolve(usuario);
+  }
+  return usuario.reload().then(function() {
+    if (!firebase.auth().currentUser.emailVerified) {
+      var error = new Error("Verifica tu email para continuar. Podes reenviar el email desde Mi Perfil");
+      error.code = EMAIL_NO_VERIFICADO;
+      throw error;
+    }
+    return firebase.auth().currentUser.getIdToken(true);
+  })
+  .then(function() {
+    return firebase.auth().currentUser;
+  });
+}
+
+// Muestra en el contenedor el aviso de email sin verificar con un boton para
+// reenviar el email de verificacion
+
+function mostrarAvisoVerificacion(idContenedor) {
+  var contenedor = document.getElementById(idContenedor);
+  contenedor.innerHTML = "";
+
+  var aviso = document.createElement("p");
+  aviso.appendChild(document.createTextNode("Tu email todavia no esta verificado. Revisa tu correo y abri el link que te enviamos."));
+  contenedor.appendChild(aviso);
+
+  var btnReenviar = document.createElement("button");
+  btnReenviar.type = "button";
+  btnReenviar.appendChild(document.createTextNode("Reenviar email"));
+  contenedor.appendChild(btnReenviar);
+
+  var resultado = document.createElement("p");
+  contenedor.appendChild(resultado);
+
+  btnReenviar.addEventListener("click", function() {
+    btnReenviar.disabled = true;
+    firebase.auth().currentUser.sendEmailVerification().then(function() {
+      resultado.textContent = "Te enviamos otro email a " + firebase.auth().currentUser.email;
+      return null;
+    })
+    .catch(function(error) {
+      btnReenviar.disabled = false;
+      resultado.textContent = error.code === "auth/too-many-requests" ?
+        "Ya te enviamos varios emails, espera unos minutos" : "No se pudo enviar el email";
+      console.log(error.code);
+    });
+  });
+}
+
+// El router llama a observador cuando alguien ingresa desde una ruta sin sesion.
+// Se crea el perfil y se pasa a la ruta que se habia pedido antes del ingreso.
+
+function observador(user) {
+    console.log("EXISTE");
+
+    return Promise.all([crearPerfilSiNoExiste(user), ingresoEnCurso]).then(function() {
+      var paginaPedida = sessionStorage.getItem("paginaPedida");
+      sessionStorage.removeItem("paginaPedida");
+      reemplazarRuta(paginaPedida || RUTA_INICIO);
+      return null;
+    })
+    .catch(function(error){
+
+      console.log("Error ", error);
+    });
 }
 
+// Al cerrar la sesion el router vuelve solo a la ruta de ingreso
+
 function cerrarSesion(){
 
-  firebase.auth().signOut().then(function() {
-    // Sign-out successful.
-  }).catch(function(error) {
+  cerrandoSesion = true;
+  firebase.auth().signOut().catch(function(error) {
     // An error happened.
+    cerrandoSesion = false;
+    console.log("Error ", error);
   }); 
-  location.href = "../index.html";
 }
 
 // variables globales Crear Viaje
 
-
+// En la ruta editar/<id> el formulario modifica ese viaje
+var viajeEditado = null;
+
+// Ids de los campos del formulario de ida y de vuelta
+var camposIda = {
+  origen: "introduceOrigen",
+  destino: "introduceDestino",
+  puntoEncuentro: "introducePuntoEncuentro",
+  fecha: "introduceFecha",
+  hora: "introduceHora",
+  cupos: "cupos"
+};
+var camposVuelta = {
+  origen: "vueltaOrigen",
+  destino: "vueltaDestino",
+  fecha: "vueltaFecha",
+  hora: "vueltaHora",
+  cupos: "vueltaCupos"
+};
 
 
  function crearViaje(){
 
-  var cupos = document.getElementById("cupos").value;
-  var introOrigen =document.getElementById("introduceOrigen").value;
-  var introDestino =document.getElementById("introduceDestino").value;
-  var introFecha =document.getElementById("introduceFecha").value;
-  var introHora =document.getElementById("introduceHora").value;
+  var boton = document.getElementById("btnCrearViaje");
+  var mensaje = document.getElementById("mensajeCrearViaje");
+  mensaje.textContent = "";
+  estadoCargando(boton, true, "Publicando...");
+
+  exigirEmailVerificado().then(function() {
+    document.getElementById("avisoVerificacion").innerHTML = "";
+    return publicarFormularioViaje();
+  })
+  .then(function(ruta){
+    estadoCargando(boton, false);
+    if (ruta) {
+      irA(ruta);
+    }
+    return null;
+  })
+  .catch(function(error){
+    estadoCargando(boton, false);
+    if (error.code === EMAIL_NO_VERIFICADO) {
+      mostrarAvisoVerificacion("avisoVerificacion");
+    } else {
+      mensaje.textContent = error.message;
+    }
+    console.log("Error ", error);
+  });
+}
 
+// Publica lo que hay en el formulario: los cambios del viaje editado, un pedido
+// de viaje (radio Pasajero), un viaje de ida y vuelta o un viaje solo. Devuelve
+// una promesa con la ruta a la que ir despues, o null si el formulario tiene
+// errores.
+
+function publicarFormularioViaje() {
+  var datosIda = leerFormularioViaje(camposIda);
+  var erroresIda = validarViaje(datosIda);
+  mostrarErroresViaje(erroresIda, camposIda);
+  if (hayErrores(erroresIda)) {
+    return Promise.resolve(null);
+  }
 
-  console.log(introOrigen); 
-  console.log(introDestino); 
-  console.log(introHora); 
-  console.log(introFecha); 
-  
+  var viaje = normalizarViaje(datosIda);
+
+  if (viajeEditado) {
+    return guardarViajeEditado(viaje)
+      .then(function(){
+        return "viaje/" + viajeEditado;
+      })
+      .catch(function(error){
+        mostrarErroresViaje({ cupos: error.message }, { cupos: camposIda.cupos });
+        console.log("Error ", error);
+        return null;
+      });
+  }
 
-  db.collection("viajes").add(
-    {
-      conductor: firebase.auth().currentUser.uid,
-      origen: introOrigen,
-      destino: introDestino,
-      fecha: introFecha,
-      hora: introHora,
-      cupos: cupos
+  if (document.getElementById("btnradioPasajero").checked) {
+    return publicarSolicitud(viaje).then(function(){
+      return "misviajes";
+    });
+  }
 
-    })
-    .then(function(docRef){
-      console.log("Escribir id del viaje ", docRef.id);
+  if (document.getElementById("casillaVuelta").checked) {
+    return crearViajeIdaYVuelta(viaje);
+  }
 
-    })
-    .catch(function(error){
+  // Con doc() el id se conoce antes de que el servidor confirme el viaje
+  var viajeRef = db.collection("viajes").doc();
+  viaje.conductor = firebase.auth().currentUser.uid;
+  return esperarEscritura(viajeRef.set(Object.assign(viaje, metadatosCreacion())))
+    .then(function(){
+      return "viaje/" + viajeRef.id;
+    });
+}
 
-      console.log("Error ", error);
-    })
+// Guarda los cambios del viaje editado. Los lugares ya reservados se
+// mantienen: los cupos libres son los nuevos totales menos los ocupados, y no
+// se pueden publicar menos lugares que los ocupados.
+//
+// Si cambia la salida las reservas activas quedan marcadas como reprogramadas.
+// Si cambia la salida o el lugar (origen, destino o punto de encuentro) cada
+// pasajero recibe una notificacion.
+
+function guardarViajeEditado(viaje) {
+  var viajeRef = db.collection("viajes").doc(viajeEditado);
+
+  // Firestore no permite consultas dentro de una transaccion: se buscan antes
+  // y dentro se vuelve a leer cada reserva
+  return reservasDelViaje(viajeEditado).then(function(reservas) {
+    return db.runTransaction(function(transaction) {
+      var lecturas = [transaction.get(viajeRef)].concat(reservas.map(function(reserva) {
+        return transaction.get(reserva.ref);
+      }));
+
+      return Promise.all(lecturas).then(function(docs) {
+        var actual = docs[0].data();
+        var ocupados = actual.cuposTotales - actual.cupos;
+        if (viaje.cuposTotales < ocupados) {
+          throw new Error("Ya hay " + ocupados + " lugares reservados, no podes ofrecer menos");
+        }
+
+        var reprogramado = !actual.salida.isEqual(viaje.salida);
+        var cambioLugar = actual.origen !== viaje.origen || actual.destino !== viaje.destino ||
+          (actual.puntoEncuentro || "") !== viaje.puntoEncuentro;
+
+        transaction.update(viajeRef, {
+          origen: viaje.origen,
+          destino: viaje.destino,
+          puntoEncuentro: viaje.puntoEncuentro,
+          salida: viaje.salida,
+          cuposTotales: viaje.cuposTotales,
+          cupos: viaje.cuposTotales - ocupados,
+          actualizado: firebase.firestore.FieldValue.serverTimestamp()
+        });
+
+        docs.slice(1).forEach(function(reserva) {
+          if (!reserva.exists || !reservaActiva(reserva.data())) {
+            return;
+          }
+          if (reprogramado) {
+            transaction.update(reserva.ref, { reprogramada: true });
+            agregarNotificacion(transaction, reserva.data().pasajero, "viajeReprogramado", viajeEditado,
+              "Tu viaje " + viaje.origen + " - " + viaje.destino + " ahora sale el " + textoSalida(viaje));
+          } else if (cambioLugar) {
+            agregarNotificacion(transaction, reserva.data().pasajero, "viajeModificado", viajeEditado,
+              "Cambiaron los datos de tu viaje " + viaje.origen + " - " + viaje.destino);
+          }
+        });
+        return viaje.cuposTotales - ocupados;
+      });
+    });
+  });
+}
+
+// Crea el viaje de ida y el de vuelta juntos. Cada uno guarda el id del otro
+// (viajeVuelta en la ida, viajeIda en la vuelta) para mostrarlos como par.
+// Devuelve la ruta del detalle de la ida.
+
+function crearViajeIdaYVuelta(ida) {
+  var datosVuelta = leerFormularioViaje(camposVuelta);
+  var erroresVuelta = validarViaje(datosVuelta);
+  if (!hayErrores(erroresVuelta) &&
+      unirFechaHora(datosVuelta.fecha, datosVuelta.hora) <= ida.salida.toDate()) {
+    erroresVuelta.fecha = "La vuelta tiene que salir despues de la ida";
+  }
+  mostrarErroresViaje(erroresVuelta, camposVuelta);
+  if (hayErrores(erroresVuelta)) {
+    return Promise.resolve(null);
+  }
 
+  var vuelta = normalizarViaje(datosVuelta);
+  var conductor = firebase.auth().currentUser.uid;
+  var idaRef = db.collection("viajes").doc();
+  var vueltaRef = db.collection("viajes").doc();
+
+  ida.conductor = conductor;
+  ida.viajeVuelta = vueltaRef.id;
+  vuelta.conductor = conductor;
+  vuelta.viajeIda = idaRef.id;
+
+  var batch = db.batch();
+  batch.set(idaRef, Object.assign(ida, metadatosCreacion()));
+  batch.set(vueltaRef, Object.assign(vuelta, metadatosCreacion()));
+
+  return esperarEscritura(batch.commit()).then(function(){
+    return "viaje/" + idaRef.id;
+  });
 }
 
+// Muestra u oculta los datos de la vuelta. Al abrirlos se completan con el
+// origen y destino de la ida invertidos.
+
+function mostrarViajeVuelta() {
+  var conVuelta = document.getElementById("casillaVuelta").checked;
+  document.getElementById("datosVuelta").style.display = conVuelta ? "block" : "none";
+
+  if (conVuelta) {
+    var vueltaOrigen = document.getElementById("vueltaOrigen");
+    var vueltaDestino = document.getElementById("vueltaDestino");
+    if (vueltaOrigen.value === "") {
+      vueltaOrigen.value = document.getElementById("introduceDestino").value;
+    }
+    if (vueltaDestino.value === "") {
+      vueltaDestino.value = document.getElementById("introduceOrigen").value;
+    }
+  }
+}
 
+// Texto que identifica a un viaje que forma parte de un par ida y vuelta
 
+function textoParViaje(datos) {
+  if (datos.viajeVuelta) {
+    return "Ida y vuelta (ida)";
+  }
+  if (datos.viajeIda) {
+    return "Ida y vuelta (vuelta)";
+  }
+  return "";
+}
+
+// Carga en el formulario los datos de un viaje para editarlo. Al duplicarlo la
+// fecha queda vacia para elegir la del viaje nuevo. En los dos casos se publica
+// como conductor, asi que no se muestra el radio Pasajero.
+
+function cargarViajeEnFormulario(viajeId, duplicar) {
+  document.getElementById("btnradioConductor").checked = true;
+  document.getElementById("tipoPublicacion").style.display = "none";
+  db.collection("viajes").doc(viajeId).get().then(function(viaje) {
+    var valores = valoresFormularioViaje(viaje.data());
+    document.getElementById("introduceOrigen").value = viaje.data().origen;
+    document.getElementById("introduceDestino").value = viaje.data().destino;
+    document.getElementById("introducePuntoEncuentro").value = viaje.data().puntoEncuentro || "";
+    document.getElementById("introduceHora").value = valores.hora;
+    document.getElementById("cupos").value = String(viaje.data().cuposTotales);
+    if (duplicar) {
+      return viaje;
+    }
+    document.getElementById("introduceFecha").value = valores.fecha;
+    document.getElementById("btnCrearViaje").textContent = "Guardar cambios";
+    document.querySelector(".ViajeVuelta").style.display = "none";
+    return viaje;
+  })
+  .catch(function(error){
+
+    console.log("Error ", error);
+  });
+}
 
+// Sin email verificado no se pueden publicar viajes ni pedidos. El boton queda
+// habilitado para que quien verifique el email con la pantalla abierta pueda
+// publicar sin volver a entrar; crearViaje lo vuelve a comprobar.
 
-if(document.title == "Menu"){
-  db.collection("viajes").get().then((querySnapshot) => {
-    querySnapshot.forEach((doc) => {
-        var fieldsetViaje = document.createElement("fieldset");
-        document.getElementById("menuPasajero").appendChild(fieldsetViaje);
-        var legendViaje = document.createElement("legend");
-        var textLegend = document.createTextNode("Viaje");
-        legendViaje.appendChild(textLegend);
-        fieldsetViaje.appendChild(legendViaje);
-
-        var origenViaje = document.createElement("p");
-        var textOrigen = document.createTextNode("Origen:" + doc.data().origen);
-        origenViaje.appendChild(textOrigen);
-        fieldsetViaje.appendChild(origenViaje);
-       
-        var destinoViaje = document.createElement("p");
-        var textDestino = document.createTextNode("Destino:" + doc.data().destino);
-        destinoViaje.appendChild(textDestino);
-        fieldsetViaje.appendChild(destinoViaje);
-       
-        var fechaViaje = document.createElement("p");
-        var textFecha = document.createTextNode( doc.data().fecha);
-        fechaViaje.appendChild(textFecha);
-        fieldsetViaje.appendChild(fechaViaje);
-        
-        var cuposViaje = document.createElement("p");
-        var textCupos = document.createTextNode("Cupos:" + doc.data().cupos);
-        cuposViaje.appendChild(textCupos);
-        fieldsetViaje.appendChild(cuposViaje);
-
-        var btnVer = document.createElement("button");
-        var textBtn = document.createTextNode("Ver" );
-        btnVer.appendChild(textBtn);
-        fieldsetViaje.appendChild(btnVer);
-       
-       
-       
-        /* doc.data().cupos;
-        doc.data().cupos;
-        doc.data().cupos;*/
+function iniciarCrearViaje(parametros) {
+  viajeEditado = parametros.id || null;
+  if (viajeEditado) {
+    cargarViajeEnFormulario(viajeEditado, false);
+  }
+
+  exigirEmailVerificado().catch(function(error) {
+    if (error.code === EMAIL_NO_VERIFICADO) {
+      mostrarAvisoVerificacion("avisoVerificacion");
+    }
+    console.log("Error ", error);
+  });
+}
+
+registrarRuta("crear", { plantilla: "vista-crear", iniciar: iniciarCrearViaje });
+registrarRuta("editar/:id", { plantilla: "vista-crear", iniciar: iniciarCrearViaje });
+
+// Duplicar un viaje abre el formulario de crear con los datos de ese viaje
+registrarRuta("duplicar/:id", {
+  plantilla: "vista-crear",
+  iniciar: function(parametros) {
+    iniciarCrearViaje({});
+    cargarViajeEnFormulario(parametros.id, true);
+  }
+});
+
+// El perfil de cada usuario se guarda en usuarios/{uid}
+
+function perfilVacio(user) {
+  return {
+    nombre: user.displayName || (user.email || "").split("@")[0],
+    email: user.email || "",
+    foto: user.photoURL || "",
+    telefono: "",
+    bio: "",
+    vehiculo: { marca: "", modelo: "", color: "", patente: "" },
+    preferencias: { fumar: false, mascotas: false, musica: false }
+  };
+}
+
+// Crea el perfil la primera vez que el usuario inicia sesion
+
+function crearPerfilSiNoExiste(user) {
+  var perfilRef = db.collection("usuarios").doc(user.uid);
+  return perfilRef.get().then(function(perfil) {
+    if (perfil.exists) {
+      return perfil.data();
+    }
+    var nuevoPerfil = perfilVacio(user);
+    return perfilRef.set(nuevoPerfil).then(function() {
+      return nuevoPerfil;
     });
   });
 }
+
+// Devuelve los datos del perfil de un usuario. Se guardan las consultas hechas
+// porque en los listados el mismo conductor aparece en muchas tarjetas. Si la
+// lectura falla se olvida, para volver a intentarla la proxima vez.
+
+var perfilesCargados = {};
+
+function obtenerPerfil(uid) {
+  if (!perfilesCargados[uid]) {
+    perfilesCargados[uid] = db.collection("usuarios").doc(uid).get().then(function(perfil) {
+      if (perfil.exists) {
+        return perfil.data();
+      }
+      return { nombre: "Usuario sin perfil" };
+    })
+    .catch(function(error) {
+      delete perfilesCargados[uid];
+      throw error;
+    });
+  }
+  return perfilesCargados[uid];
+}
+
+
+
+
+// Arma la tarjeta (fieldset) con la que se muestra un viaje en los listados
+
+function crearTarjetaViaje(doc) {
+  var fieldsetViaje = document.createElement("fieldset");
+  fieldsetViaje.className = "tarjetaViaje";
+  var legendViaje = document.createElement("legend");
+  var textLegend = document.createTextNode("Viaje");
+  legendViaje.appendChild(textLegend);
+  fieldsetViaje.appendChild(legendViaje);
+
+  var origenViaje = document.createElement("p");
+  origenViaje.className = "origenViaje";
+  var textOrigen = document.createTextNode("Origen:" + doc.data().origen);
+  origenViaje.appendChild(textOrigen);
+  fieldsetViaje.appendChild(origenViaje);
+
+  var destinoViaje = document.createElement("p");
+  destinoViaje.className = "destinoViaje";
+  var textDestino = document.createTextNode("Destino:" + doc.data().destino);
+  destinoViaje.appendChild(textDestino);
+  fieldsetViaje.appendChild(destinoViaje);
+
+  var fechaViaje = document.createElement("p");
+  fechaViaje.className = "fechaViaje";
+  var textFecha = document.createTextNode(textoSalida(doc.data()));
+  fechaViaje.appendChild(textFecha);
+  fieldsetViaje.appendChild(fechaViaje);
+
+  var cuposViaje = document.createElement("p");
+  cuposViaje.className = "cuposViaje";
+  var textCupos = document.createTextNode("Cupos:" + doc.data().cupos);
+  cuposViaje.appendChild(textCupos);
+  fieldsetViaje.appendChild(cuposViaje);
+
+  if (textoParViaje(doc.data()) !== "") {
+    var parViaje = document.createElement("p");
+    parViaje.appendChild(document.createTextNode(textoParViaje(doc.data())));
+    fieldsetViaje.appendChild(parViaje);
+  }
+
+  var conductorViaje = document.createElement("p");
+  var textConductor = document.createTextNode("Conductor:");
+  conductorViaje.appendChild(textConductor);
+  fieldsetViaje.appendChild(conductorViaje);
+
+  obtenerPerfil(doc.data().conductor).then(function(perfil) {
+    textConductor.nodeValue = "Conductor:" + perfil.nombre;
+    return perfil;
+  })
+  .catch(function(error) {
+    console.log("Error ", error);
+  });
+
+  var btnVer = document.createElement("button");
+  var textBtn = document.createTextNode("Ver" );
+  btnVer.appendChild(textBtn);
+  fieldsetViaje.appendChild(btnVer);
+
+  btnVer.addEventListener("click", function() {
+    irA("viaje/" + doc.id);
+  });
+
+  // El conductor no puede reservar su propio viaje
+  var usuario = firebase.auth().currentUser;
+  if (!usuario || doc.data().conductor !== usuario.uid) {
+    var btnReservar = document.createElement("button");
+    var textReservar = document.createTextNode("Reservar");
+    btnReservar.appendChild(textReservar);
+    fieldsetViaje.appendChild(btnReservar);
+
+    var mensajeReserva = document.createElement("p");
+    fieldsetViaje.appendChild(mensajeReserva);
+
+    btnReservar.addEventListener("click", function() {
+      btnReservar.disabled = true;
+      reservarViaje(doc.id).then(function(cuposLibres) {
+        mensajeReserva.textContent = textoSolicitudEnviada();
+        return cuposLibres;
+      })
+      .catch(function(error) {
+        btnReservar.disabled = false;
+        mensajeReserva.textContent = error.message;
+        console.log("Error ", error);
+      });
+    });
+  }
+
+  return fieldsetViaje;
+}
+
+// Actualiza los datos de una tarjeta ya armada cuando cambia el viaje
+
+function actualizarTarjetaViaje(tarjeta, doc) {
+  tarjeta.querySelector(".origenViaje").firstChild.nodeValue = "Origen:" + doc.data().origen;
+  tarjeta.querySelector(".destinoViaje").firstChild.nodeValue = "Destino:" + doc.data().destino;
+  tarjeta.querySelector(".fechaViaje").firstChild.nodeValue = textoSalida(doc.data());
+  tarjeta.querySelector(".cuposViaje").firstChild.nodeValue = "Cupos:" + doc.data().cupos;
+}
+
+
+registrarRuta("ingresar", { plantilla: "vista-ingresar", sinSesion: true });
+registrarRuta("recuperar", { plantilla: "vista-recuperar", sinSesion: true });
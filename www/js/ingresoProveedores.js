@@ -0,0 +1,124 @@
+// Ingreso con Google y Facebook. En el navegador se usa un popup; dentro del
+// webview de Cordova los popups no funcionan y se usa redirect (requiere los
+// plugins cordova-plugin-inappbrowser, cordova-plugin-buildinfo y
+// cordova-universal-links-plugin).
+//
+// Si el email del proveedor ya tiene una cuenta con otro metodo de ingreso,
+// Firebase devuelve auth/account-exists-with-different-credential. En ese caso
+// se guarda la credencial del proveedor y se vincula a la cuenta existente
+// cuando el usuario ingresa con su metodo original. La credencial se guarda en
+// sessionStorage porque con redirect la pagina se vuelve a cargar.
+
+function guardarCredencialPendiente(credencial) {
+  sessionStorage.setItem("credencialPendiente", JSON.stringify({
+    providerId: credencial.providerId,
+    idToken: credencial.idToken || null,
+    accessToken: credencial.accessToken || null
+  }));
+}
+
+function leerCredencialPendiente() {
+  var guardada = JSON.parse(sessionStorage.getItem("credencialPendiente"));
+  if (!guardada) {
+    return null;
+  }
+  if (guardada.providerId === "google.com") {
+    return firebase.auth.GoogleAuthProvider.credential(guardada.idToken, guardada.accessToken);
+  }
+  return firebase.auth.FacebookAuthProvider.credential(guardada.accessToken);
+}
+
+var PROVEEDORES = {
+  "google.com": function() {
+    return new firebase.auth.GoogleAuthProvider();
+  },
+  "facebook.com": function() {
+    return new firebase.auth.FacebookAuthProvider();
+  }
+};
+
+function esCordova() {
+  return window.cordova !== undefined || location.protocol === "file:";
+}
+
+function ingresarConProveedor(proveedor) {
+  limpiarMensajeAuth("mensajeProveedores");
+  if (esCordova()) {
+    return firebase.auth().signInWithRedirect(proveedor);
+  }
+  var ingreso = firebase.auth().signInWithPopup(proveedor).then(vincularCredencialPendiente);
+  ingresoEnCurso = ingreso.catch(function() {
+    return null;
+  });
+  return ingreso;
+}
+
+// Inicio de funcion ingreso con Google
+
+function ingresoGoogle() {
+  ingresarConProveedor(PROVEEDORES["google.com"]()).catch(manejarErrorProveedor);
+}
+
+// Inicio de funcion ingreso con Facebook
+
+function ingresoFacebook() {
+  ingresarConProveedor(PROVEEDORES["facebook.com"]()).catch(manejarErrorProveedor);
+}
+
+// Vincula la credencial que quedo pendiente a la cuenta con la que se acaba de
+// ingresar. Recibe el resultado de un signIn (o null si no hubo ingreso).
+
+function vincularCredencialPendiente(resultado) {
+  var credencial = leerCredencialPendiente();
+  if (!resultado || !resultado.user || !credencial) {
+    return resultado;
+  }
+  sessionStorage.removeItem("credencialPendiente");
+  return resultado.user.linkWithCredential(credencial).then(function() {
+    return resultado;
+  });
+}
+
+function manejarErrorProveedor(error) {
+  if (error.code !== "auth/account-exists-with-different-credential") {
+    mostrarErrorAuth("mensajeProveedores", error);
+    console.log(error.code);
+    return null;
+  }
+
+  guardarCredencialPendiente(error.credential);
+
+  return firebase.auth().fetchSignInMethodsForEmail(error.email).then(function(metodos) {
+    if (metodos.indexOf("password") !== -1) {
+      document.getElementById("usuario").value = error.email;
+      mostrarMensajeAuth("mensajeProveedores",
+        "Ya tenes una cuenta con " + error.email + ". Ingresa con tu contraseña y la vinculamos");
+      return null;
+    }
+
+    var metodo = metodos.filter(function(existente) {
+      return PROVEEDORES[existente] !== undefined;
+    })[0];
+    if (!metodo) {
+      mostrarErrorAuth("mensajeProveedores", error);
+      return null;
+    }
+
+    mostrarMensajeAuth("mensajeProveedores",
+      "Ya tenes una cuenta con " + error.email + ". Ingresa con ese metodo para vincularla");
+    var proveedor = PROVEEDORES[metodo]();
+    proveedor.setCustomParameters({ login_hint: error.email });
+    return ingresarConProveedor(proveedor);
+  })
+  .catch(function(errorVinculacion) {
+    mostrarErrorAuth("mensajeProveedores", errorVinculacion);
+    console.log(errorVinculacion.code);
+  });
+}
+
+// Al volver de un redirect (Cordova) se procesa el resultado del ingreso.
+// Sin redirect pendiente getRedirectResult devuelve un resultado vacio.
+
+ingresoEnCurso = firebase.auth().getRedirectResult()
+  .then(vincularCredencialPendiente)
+  .catch(manejarErrorProveedor);
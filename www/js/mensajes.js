@@ -0,0 +1,199 @@
+// Mensajes: una conversacion por viaje entre el conductor y los pasajeros
+// confirmados. Los mensajes se guardan en viajes/{id}/mensajes.
+// Se puede abrir directo una conversacion con la ruta mensajes/<id del viaje>
+
+var conversacionActual = null;
+var desuscribirMensajes = null;
+
+// Nodos de la conversacion abierta por id del mensaje, para reemplazarlos
+// cuando el mensaje cambia (por ejemplo al llegar la hora del servidor)
+var mensajesEnPantalla = {};
+
+// Devuelve los viajes en los que participa el usuario, como conductor o como
+// pasajero con una reserva confirmada
+
+function obtenerViajesDelUsuario(uid) {
+  return Promise.all([
+    db.collection("viajes").where("conductor", "==", uid).get(),
+    db.collection("reservas").where("pasajero", "==", uid).where("estado", "==", "confirmada").get()
+  ])
+  .then(function(resultados) {
+    var comoPasajero = resultados[1].docs.map(function(reserva) {
+      return db.collection("viajes").doc(reserva.data().viaje).get();
+    });
+    return Promise.all(comoPasajero).then(function(viajesPasajero) {
+      return resultados[0].docs.concat(viajesPasajero.filter(function(viaje) {
+        return viaje.exists;
+      }));
+    });
+  });
+}
+
+function tituloConversacion(datos) {
+  return datos.origen + " - " + datos.destino + " (" + textoSalida(datos) + ")";
+}
+
+function cargarConversaciones(uid) {
+  var lista = document.getElementById("listaConversaciones");
+  var vigente = vistaVigente();
+
+  return obtenerViajesDelUsuario(uid).then(function(viajes) {
+    if (!vigente()) {
+      return [];
+    }
+    if (viajes.length === 0) {
+      var sinConversaciones = document.createElement("p");
+      sinConversaciones.appendChild(document.createTextNode("Todavia no participas de ningun viaje"));
+      lista.appendChild(sinConversaciones);
+    }
+
+    viajes.forEach(function(viaje) {
+      var btnConversacion = document.createElement("button");
+      btnConversacion.appendChild(document.createTextNode(tituloConversacion(viaje.data())));
+      btnConversacion.addEventListener("click", function() {
+        abrirConversacion(viaje.id, tituloConversacion(viaje.data()));
+      });
+      lista.appendChild(btnConversacion);
+    });
+    return viajes;
+  });
+}
+
+// Arma el parrafo de un mensaje con su autor y hora
+
+function crearMensaje(doc) {
+  // Mientras el servidor no confirma el mensaje, "enviado" se estima localmente
+  var datos = doc.data({ serverTimestamps: "estimate" });
+  var mensaje = document.createElement("div");
+  mensaje.className = "mensaje";
+  if (datos.autor === firebase.auth().currentUser.uid) {
+    mensaje.className += " mensajePropio";
+  }
+
+  var autorMensaje = document.createElement("p");
+  var textAutor = document.createTextNode("");
+  autorMensaje.appendChild(textAutor);
+  mensaje.appendChild(autorMensaje);
+
+  var textoMensaje = document.createElement("p");
+  textoMensaje.appendChild(document.createTextNode(datos.texto));
+  mensaje.appendChild(textoMensaje);
+
+  var hora = datos.enviado ? datos.enviado.toDate().toLocaleString() : "";
+  obtenerPerfil(datos.autor).then(function(perfil) {
+    textAutor.nodeValue = perfil.nombre + " - " + hora;
+    return perfil;
+  })
+  .catch(function(error) {
+    console.log("Error ", error);
+  });
+
+  return mensaje;
+}
+
+// Pone, reemplaza o saca los nodos de los mensajes que cambiaron. Cada mensaje
+// nuevo o modificado va antes del siguiente que ya este en pantalla, asi el
+// hilo sigue ordenado por "enviado".
+
+function aplicarCambiosMensajes(querySnapshot, hilo) {
+  querySnapshot.docChanges().forEach(function(cambio) {
+    var anterior = mensajesEnPantalla[cambio.doc.id];
+    if (anterior) {
+      hilo.removeChild(anterior);
+      delete mensajesEnPantalla[cambio.doc.id];
+    }
+    if (cambio.type === "removed") {
+      return;
+    }
+
+    var siguiente = null;
+    var docs = querySnapshot.docs;
+    for (var i = cambio.newIndex + 1; i < docs.length && !siguiente; i++) {
+      siguiente = mensajesEnPantalla[docs[i].id] || null;
+    }
+    var mensaje = crearMensaje(cambio.doc);
+    mensajesEnPantalla[cambio.doc.id] = mensaje;
+    hilo.insertBefore(mensaje, siguiente);
+  });
+}
+
+// Inicio de funcion abrir una conversacion y escuchar sus mensajes en vivo
+
+function abrirConversacion(viajeId, titulo) {
+  if (desuscribirMensajes) {
+    desuscribirMensajes();
+  }
+
+  conversacionActual = viajeId;
+  document.getElementById("conversacion").style.display = "block";
+  document.getElementById("tituloConversacion").textContent = titulo;
+  var hilo = document.getElementById("hiloMensajes");
+  hilo.innerHTML = "";
+  mensajesEnPantalla = {};
+
+  desuscribirMensajes = db.collection("viajes").doc(viajeId).collection("mensajes")
+    .orderBy("enviado")
+    .onSnapshot(function(querySnapshot) {
+      aplicarCambiosMensajes(querySnapshot, hilo);
+      hilo.scrollTop = hilo.scrollHeight;
+    }, function(error) {
+      console.log("Error ", error);
+    });
+}
+
+// Inicio de funcion enviar mensaje a la conversacion abierta
+
+function enviarMensaje() {
+  var inputMensaje = document.getElementById("textoMensaje");
+  var texto = inputMensaje.value.trim();
+
+  if (!conversacionActual || texto === "") {
+    return;
+  }
+
+  db.collection("viajes").doc(conversacionActual).collection("mensajes").add(
+    {
+      autor: firebase.auth().currentUser.uid,
+      texto: texto,
+      enviado: firebase.firestore.FieldValue.serverTimestamp()
+    })
+    .catch(function(error){
+
+      console.log("Error ", error);
+    });
+  inputMensaje.value = "";
+}
+
+// Inicio de la vista de mensajes. Con mensajes/<id> se abre esa conversacion
+
+function iniciarMensajes(parametros, user) {
+  var viajePedido = parametros.viaje;
+
+  cargarConversaciones(user.uid).then(function(viajes) {
+    var pedido = viajes.filter(function(viaje) {
+      return viaje.id === viajePedido;
+    })[0];
+    if (pedido) {
+      abrirConversacion(pedido.id, tituloConversacion(pedido.data()));
+    }
+    return viajes;
+  })
+  .catch(function(error){
+
+    console.log("Error ", error);
+  });
+}
+
+// Al salir de la vista se deja de escuchar la conversacion abierta
+
+function salirDeMensajes() {
+  if (desuscribirMensajes) {
+    desuscribirMensajes();
+    desuscribirMensajes = null;
+  }
+  conversacionActual = null;
+  mensajesEnPantalla = {};
+}
+
+registrarRuta("mensajes", { plantilla: "vista-mensajes", iniciar: iniciarMensajes, salir: salirDeMensajes });
+registrarRuta("mensajes/:viaje", { plantilla: "vista-mensajes", iniciar: iniciarMensajes, salir: salirDeMensajes });
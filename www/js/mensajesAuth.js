@@ -0,0 +1,50 @@
+// Mensajes de error de autenticacion y estados de los botones de ingreso
+
+var MENSAJES_ERROR_AUTH = {
+  "auth/wrong-password": "La contraseña es incorrecta",
+  "auth/user-not-found": "No existe una cuenta con ese email",
+  "auth/email-already-in-use": "Ya existe una cuenta con ese email",
+  "auth/weak-password": "La contraseña tiene que tener al menos 6 caracteres",
+  "auth/invalid-email": "El email no es valido",
+  "auth/too-many-requests": "Demasiados intentos. Espera unos minutos y volve a intentar",
+  "auth/user-disabled": "Esta cuenta fue deshabilitada",
+  "auth/network-request-failed": "No hay conexion. Revisa tu internet y volve a intentar"
+};
+
+var MENSAJE_ERROR_AUTH_GENERICO = "No se pudo completar la operacion. Volve a intentar";
+
+// Devuelve el mensaje en castellano para un error de Firebase Auth
+
+function mensajeErrorAuth(error) {
+  return MENSAJES_ERROR_AUTH[error.code] || MENSAJE_ERROR_AUTH_GENERICO;
+}
+
+// Muestra un mensaje debajo del fieldset (elemento con id "idMensaje")
+
+function mostrarMensajeAuth(idMensaje, texto) {
+  document.getElementById(idMensaje).textContent = texto;
+}
+
+function mostrarErrorAuth(idMensaje, error) {
+  mostrarMensajeAuth(idMensaje, mensajeErrorAuth(error));
+}
+
+function limpiarMensajeAuth(idMensaje) {
+  mostrarMensajeAuth(idMensaje, "");
+}
+
+// Deshabilita el boton y cambia su texto mientras se espera a Firebase.
+// El texto original se guarda en el propio boton para restaurarlo.
+
+function estadoCargando(boton, cargando, textoCargando) {
+  if (cargando) {
+    boton.dataset.textoOriginal = boton.textContent;
+    boton.textContent = textoCargando;
+    boton.disabled = true;
+    boton.classList.add("cargando");
+  } else {
+    boton.textContent = boton.dataset.textoOriginal || boton.textContent;
+    boton.disabled = false;
+    boton.classList.remove("cargando");
+  }
+}
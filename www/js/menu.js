@@ -0,0 +1,261 @@
+// Menu principal: la seccion de pasajero con los viajes publicados (ruta main).
+// La seccion de conductor es el panel de panelConductor.js (ruta conductor).
+//
+// El feed del pasajero se pide por paginas ordenadas por salida (limit y
+// startAfter con el ultimo viaje de la pagina anterior) y se carga la siguiente
+// al llegar al final de la lista. Cada pagina se escucha en vivo y sus cambios
+// se aplican sobre las tarjetas que ya estan en pantalla.
+//
+// Las tarjetas se guardan por id del viaje en tarjetasFeed junto con la pagina
+// que las muestra. Si un viaje pasa de una pagina a otra (por ejemplo porque se
+// cambio la salida) la tarjeta se mueve, asi nunca aparece dos veces.
+//
+// Las paginas tambien escuchan los cambios de metadata, para marcar los viajes
+// publicados sin conexion hasta que el servidor los confirma.
+
+var TAMANO_PAGINA_FEED = 10;
+
+// Tiempo de la animacion de salida de una tarjeta (ver .tarjetaSaliendo en style.css)
+var DURACION_SALIDA_TARJETA = 400;
+
+// Estado del feed que se conserva al salir del menu, para volver del detalle de
+// un viaje con las mismas paginas cargadas y en la misma posicion:
+//   desde      solo se muestran viajes que salen despues de este momento; se
+//              vuelve a calcular cada vez que se entra al menu
+//   cursores   el cursor (startAfter) de cada pagina ya cargada
+//   siguiente  el cursor de la proxima pagina
+//   hayMas     false cuando la ultima pagina vino incompleta
+//   scroll     posicion de #menu al salir
+var estadoFeed = { desde: null, cursores: [], siguiente: null, hayMas: true, scroll: 0 };
+
+var tarjetasFeed = {};
+var paginasFeed = [];
+var observadorFeed = null;
+var cargandoPaginaFeed = false;
+
+// En el feed solo se muestran los viajes que todavia se pueden reservar
+
+function viajeDisponible(datos) {
+  return datos.estado !== "cancelado" && datos.cupos > 0;
+}
+
+// Saca la tarjeta del feed si la muestra esta pagina. Primero se anima y
+// despues se borra del DOM.
+
+function quitarTarjetaFeed(viajeId, pagina) {
+  var entrada = tarjetasFeed[viajeId];
+  if (!entrada || entrada.pagina !== pagina) {
+    return;
+  }
+  delete tarjetasFeed[viajeId];
+
+  var tarjeta = entrada.tarjeta;
+  tarjeta.classList.add("tarjetaSaliendo");
+  setTimeout(function() {
+    if (tarjeta.parentNode) {
+      tarjeta.parentNode.removeChild(tarjeta);
+    }
+  }, DURACION_SALIDA_TARJETA);
+}
+
+// Busca la tarjeta del siguiente viaje de la pagina que ya este en pantalla,
+// para insertar la nueva antes y mantener el orden por salida
+
+function tarjetaSiguiente(docs, indice, pagina) {
+  for (var i = indice + 1; i < docs.length; i++) {
+    var entrada = tarjetasFeed[docs[i].id];
+    if (entrada && entrada.pagina === pagina) {
+      return entrada.tarjeta;
+    }
+  }
+  return null;
+}
+
+function ponerTarjetaFeed(doc, docs, indice, pagina) {
+  var entrada = tarjetasFeed[doc.id];
+  var tarjeta;
+
+  if (entrada) {
+    tarjeta = entrada.tarjeta;
+    actualizarTarjetaViaje(tarjeta, doc);
+  } else {
+    tarjeta = crearTarjetaViaje(doc);
+  }
+  tarjetasFeed[doc.id] = { tarjeta: tarjeta, pagina: pagina };
+  pagina.contenedor.insertBefore(tarjeta, tarjetaSiguiente(docs, indice, pagina));
+}
+
+function aplicarCambiosFeed(querySnapshot, pagina) {
+  querySnapshot.docChanges({ includeMetadataChanges: true }).forEach(function(cambio) {
+    if (cambio.type === "removed" || !viajeDisponible(cambio.doc.data())) {
+      quitarTarjetaFeed(cambio.doc.id, pagina);
+      return;
+    }
+    ponerTarjetaFeed(cambio.doc, querySnapshot.docs, cambio.newIndex, pagina);
+    marcarPendiente(tarjetasFeed[cambio.doc.id].tarjeta, cambio.doc);
+  });
+}
+
+function consultaPaginaFeed(cursor) {
+  var consulta = db.collection("viajes")
+    .where("salida", ">=", estadoFeed.desde)
+    .orderBy("salida");
+  if (cursor) {
+    consulta = consulta.startAfter(cursor);
+  }
+  return consulta.limit(TAMANO_PAGINA_FEED);
+}
+
+// La ultima pagina dice si hay mas viajes y desde donde sigue la proxima. Se
+// vuelve a calcular con cada cambio de esa pagina porque sin conexion la primera
+// respuesta sale de la cache y puede venir incompleta.
+
+function actualizarFinalDelFeed(querySnapshot) {
+  estadoFeed.hayMas = querySnapshot.size === TAMANO_PAGINA_FEED;
+  estadoFeed.siguiente = estadoFeed.hayMas ? querySnapshot.docs[querySnapshot.size - 1] : null;
+  mostrarEstadoCarga();
+  volverAObservarFinal();
+}
+
+// Escucha una pagina del feed en su propio contenedor. Devuelve una promesa que
+// se resuelve con el primer snapshot de la pagina.
+
+function escucharPaginaFeed(cursor) {
+  var pagina = { contenedor: document.createElement("div"), desuscribir: null, cargada: false };
+  pagina.contenedor.className = "paginaFeed";
+  document.getElementById("menuPasajero")
+    .insertBefore(pagina.contenedor, document.getElementById("cargandoFeed"));
+  paginasFeed.push(pagina);
+
+  return new Promise(function(resolve, reject) {
+    var opciones = { includeMetadataChanges: true };
+    pagina.desuscribir = consultaPaginaFeed(cursor).onSnapshot(opciones, function(querySnapshot) {
+      aplicarCambiosFeed(querySnapshot, pagina);
+      if (pagina.cargada && pagina === paginasFeed[paginasFeed.length - 1]) {
+        actualizarFinalDelFeed(querySnapshot);
+      }
+      pagina.cargada = true;
+      resolve(querySnapshot);
+    }, function(error) {
+      console.log("Error ", error);
+      reject(error);
+    });
+  });
+}
+
+function mostrarEstadoCarga() {
+  var cargando = document.getElementById("cargandoFeed");
+  if (!cargando) {
+    return;
+  }
+  if (cargandoPaginaFeed) {
+    cargando.textContent = "Cargando viajes...";
+  } else if (!estadoFeed.hayMas) {
+    cargando.textContent = Object.keys(tarjetasFeed).length === 0 ?
+      "No hay viajes publicados" : "No hay mas viajes";
+  } else {
+    cargando.textContent = "";
+  }
+}
+
+// Pide la pagina siguiente a la ultima cargada. Si se sale del menu antes de
+// que llegue, salirDelMenu ya dejo el estado listo para volver y la respuesta
+// se ignora.
+
+function cargarPaginaFeed() {
+  if (cargandoPaginaFeed || !estadoFeed.hayMas) {
+    return;
+  }
+  cargandoPaginaFeed = true;
+  mostrarEstadoCarga();
+
+  var cursor = estadoFeed.siguiente;
+  var vigente = vistaVigente();
+  escucharPaginaFeed(cursor).then(function(querySnapshot) {
+    if (!vigente()) {
+      return querySnapshot;
+    }
+    estadoFeed.cursores.push(cursor);
+    cargandoPaginaFeed = false;
+    actualizarFinalDelFeed(querySnapshot);
+    return querySnapshot;
+  })
+  .catch(function() {
+    if (!vigente()) {
+      return;
+    }
+    cargandoPaginaFeed = false;
+    document.getElementById("cargandoFeed").textContent = "No se pudieron cargar los viajes";
+  });
+}
+
+// Si despues de cargar una pagina el final de la lista sigue a la vista (pocas
+// tarjetas), observar de nuevo hace que el observer avise otra vez
+
+function volverAObservarFinal() {
+  var cargando = document.getElementById("cargandoFeed");
+  if (observadorFeed && cargando) {
+    observadorFeed.unobserve(cargando);
+    observadorFeed.observe(cargando);
+  }
+}
+
+function observarFinalDelFeed() {
+  observadorFeed = new IntersectionObserver(function(entradas) {
+    if (entradas[0].isIntersecting) {
+      cargarPaginaFeed();
+    }
+  }, { root: document.getElementById("menu") });
+  observadorFeed.observe(document.getElementById("cargandoFeed"));
+}
+
+// Vuelve a escuchar las paginas que ya estaban cargadas y restaura el scroll
+
+function restaurarFeed() {
+  var paginas = estadoFeed.cursores.map(escucharPaginaFeed);
+  return Promise.all(paginas).then(function() {
+    document.getElementById("menu").scrollTop = estadoFeed.scroll;
+    mostrarEstadoCarga();
+    return null;
+  });
+}
+
+function iniciarMenu() {
+  document.getElementById("menuPasajero").classList.add("activo");
+  tarjetasFeed = {};
+  paginasFeed = [];
+
+  // Las paginas guardadas se vuelven a pedir desde ahora, sin los viajes que
+  // salieron mientras tanto. Cada pagina sigue empezando despues del ultimo
+  // viaje de la anterior, asi que no quedan huecos: a lo sumo una pagina trae
+  // viajes de la siguiente y la tarjeta se muestra una sola vez (tarjetasFeed).
+  estadoFeed.desde = firebase.firestore.Timestamp.fromDate(new Date());
+
+  restaurarFeed().then(function() {
+    observarFinalDelFeed();
+    return null;
+  })
+  .catch(function(error){
+
+    console.log("Error ", error);
+  });
+}
+
+function salirDelMenu() {
+  estadoFeed.scroll = document.getElementById("menu").scrollTop;
+
+  if (observadorFeed) {
+    observadorFeed.disconnect();
+    observadorFeed = null;
+  }
+  paginasFeed.forEach(function(pagina) {
+    if (pagina.desuscribir) {
+      pagina.desuscribir();
+    }
+  });
+  paginasFeed = [];
+  tarjetasFeed = {};
+  cargandoPaginaFeed = false;
+}
+
+registrarRuta("main", { plantilla: "vista-main", iniciar: iniciarMenu, salir: salirDelMenu });
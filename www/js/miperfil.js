@@ -0,0 +1,84 @@
+// Mi Perfil: muestra y guarda el documento usuarios/{uid} del usuario actual
+
+function mostrarMiPerfil(perfil) {
+  var vehiculo = perfil.vehiculo || {};
+  var preferencias = perfil.preferencias || {};
+
+  document.getElementById("perfilNombre").value = perfil.nombre || "";
+  document.getElementById("perfilTelefono").value = perfil.telefono || "";
+  document.getElementById("perfilBio").value = perfil.bio || "";
+  document.getElementById("perfilMarca").value = vehiculo.marca || "";
+  document.getElementById("perfilModelo").value = vehiculo.modelo || "";
+  document.getElementById("perfilColor").value = vehiculo.color || "";
+  document.getElementById("perfilPatente").value = vehiculo.patente || "";
+  document.getElementById("perfilFumar").checked = preferencias.fumar === true;
+  document.getElementById("perfilMascotas").checked = preferencias.mascotas === true;
+  document.getElementById("perfilMusica").checked = preferencias.musica === true;
+  document.getElementById("perfilCalificacion").textContent = textoCalificacion(perfil);
+}
+
+// Inicio de funcion guardar perfil
+
+function guardarPerfil() {
+  var usuario = firebase.auth().currentUser;
+  var mensaje = document.getElementById("mensajePerfil");
+  var nombre = document.getElementById("perfilNombre").value.trim();
+
+  if (nombre === "") {
+    mensaje.textContent = "El nombre no puede quedar vacio";
+    return;
+  }
+
+  var cambios = {
+    nombre: nombre,
+    telefono: document.getElementById("perfilTelefono").value.trim(),
+    bio: document.getElementById("perfilBio").value.trim(),
+    vehiculo: {
+      marca: document.getElementById("perfilMarca").value.trim(),
+      modelo: document.getElementById("perfilModelo").value.trim(),
+      color: document.getElementById("perfilColor").value.trim(),
+      patente: document.getElementById("perfilPatente").value.trim().toUpperCase()
+    },
+    preferencias: {
+      fumar: document.getElementById("perfilFumar").checked,
+      mascotas: document.getElementById("perfilMascotas").checked,
+      musica: document.getElementById("perfilMusica").checked
+    }
+  };
+
+  // El nombre tambien se guarda en la cuenta para que displayName quede al dia
+  Promise.all([
+    db.collection("usuarios").doc(usuario.uid).set(cambios, { merge: true }),
+    usuario.updateProfile({ displayName: nombre })
+  ])
+  .then(function() {
+    delete perfilesCargados[usuario.uid];
+    mensaje.textContent = "Perfil guardado";
+    return null;
+  })
+  .catch(function(error){
+    mensaje.textContent = "No se pudo guardar el perfil";
+    console.log("Error ", error);
+  });
+}
+
+registrarRuta("perfil", {
+  plantilla: "vista-perfil",
+  iniciar: function(parametros, user) {
+    crearPerfilSiNoExiste(user).then(function(perfil) {
+      mostrarMiPerfil(perfil);
+      return perfil;
+    })
+    .catch(function(error){
+
+      console.log("Error ", error);
+    });
+
+    exigirEmailVerificado().catch(function(error) {
+      if (error.code === EMAIL_NO_VERIFICADO) {
+        mostrarAvisoVerificacion("avisoVerificacion");
+      }
+      console.log("Error ", error);
+    });
+  }
+});
@@ -0,0 +1,129 @@
+// Mis Viajes: los viajes que publique como conductor y en los que reserve como
+// pasajero, separados en proximos y pasados segun su fecha y hora de salida
+
+// Arma la tarjeta de un viaje para Mis Viajes con los datos extra que se pasen
+
+function crearTarjetaMiViaje(viajeId, datos, extras) {
+  var fieldsetViaje = document.createElement("fieldset");
+  var legendViaje = document.createElement("legend");
+  legendViaje.appendChild(document.createTextNode(datos.origen + " - " + datos.destino));
+  fieldsetViaje.appendChild(legendViaje);
+
+  var lineas = [textoSalida(datos), "Cupos libres: " + datos.cupos + " de " + datos.cuposTotales].concat(extras);
+  if (textoParViaje(datos) !== "") {
+    lineas.push(textoParViaje(datos));
+  }
+  if (datos.estado === "cancelado") {
+    lineas.push("Viaje cancelado");
+  }
+  lineas.forEach(function(linea) {
+    var parrafo = document.createElement("p");
+    parrafo.appendChild(document.createTextNode(linea));
+    fieldsetViaje.appendChild(parrafo);
+  });
+
+  var btnVer = document.createElement("button");
+  btnVer.appendChild(document.createTextNode("Ver"));
+  btnVer.addEventListener("click", function() {
+    irA("viaje/" + viajeId);
+  });
+  fieldsetViaje.appendChild(btnVer);
+
+  return fieldsetViaje;
+}
+
+// Agrega la tarjeta a la seccion de proximos o de pasados segun la salida
+
+function agregarMiViaje(prefijo, tarjeta, datos) {
+  var seccion = fechaSalidaViaje(datos) >= new Date() ? "Proximos" : "Pasados";
+  document.getElementById(prefijo + seccion).appendChild(tarjeta);
+}
+
+// Los viajes ordenados por salida, los mas proximos primero
+
+function ordenarPorSalida(viajes) {
+  return viajes.sort(function(a, b) {
+    return fechaSalidaViaje(a.datos) - fechaSalidaViaje(b.datos);
+  });
+}
+
+function cargarViajesConductor(uid) {
+  var vigente = vistaVigente();
+
+  return Promise.all([
+    db.collection("viajes").where("conductor", "==", uid).orderBy("salida").get(),
+    db.collection("reservas").where("conductor", "==", uid).where("estado", "==", "confirmada").get()
+  ])
+  .then(function(resultados) {
+    if (!vigente()) {
+      return [];
+    }
+    var confirmadas = {};
+    resultados[1].forEach(function(reserva) {
+      var viaje = reserva.data().viaje;
+      confirmadas[viaje] = (confirmadas[viaje] || 0) + 1;
+    });
+
+    var viajes = resultados[0].docs.map(function(doc) {
+      return { id: doc.id, datos: doc.data(), pendiente: doc.metadata.hasPendingWrites };
+    });
+    viajes.forEach(function(viaje) {
+      var extras = ["Pasajeros confirmados: " + (confirmadas[viaje.id] || 0)];
+      if (viaje.pendiente) {
+        extras.push(TEXTO_PENDIENTE);
+      }
+      agregarMiViaje("conductor", crearTarjetaMiViaje(viaje.id, viaje.datos, extras), viaje.datos);
+    });
+    return viajes;
+  });
+}
+
+function cargarViajesPasajero(uid) {
+  var vigente = vistaVigente();
+
+  return db.collection("reservas").where("pasajero", "==", uid).get()
+    .then(function(querySnapshot) {
+      var viajes = querySnapshot.docs.map(function(reserva) {
+        return db.collection("viajes").doc(reserva.data().viaje).get().then(function(viaje) {
+          return {
+            id: viaje.id,
+            datos: viaje.data(),
+            reserva: reserva.data(),
+            reservaPendiente: reserva.metadata.hasPendingWrites
+          };
+        });
+      });
+      return Promise.all(viajes);
+    })
+    .then(function(viajes) {
+      if (!vigente()) {
+        return [];
+      }
+      // Una reserva puede quedar apuntando a un viaje que ya no existe
+      var existentes = viajes.filter(function(viaje) {
+        return viaje.datos !== undefined;
+      });
+      ordenarPorSalida(existentes).forEach(function(viaje) {
+        var extras = ["Reserva: " + (TEXTOS_ESTADO_RESERVA[viaje.reserva.estado] || viaje.reserva.estado)];
+        if (viaje.reserva.reprogramada && reservaActiva(viaje.reserva)) {
+          extras.push("El conductor cambio el horario del viaje");
+        }
+        if (viaje.reservaPendiente) {
+          extras.push(TEXTO_PENDIENTE);
+        }
+        agregarMiViaje("pasajero", crearTarjetaMiViaje(viaje.id, viaje.datos, extras), viaje.datos);
+      });
+      return existentes;
+    });
+}
+
+registrarRuta("misviajes", {
+  plantilla: "vista-misviajes",
+  iniciar: function(parametros, user) {
+    Promise.all([cargarViajesConductor(user.uid), cargarViajesPasajero(user.uid), cargarMisSolicitudes(user.uid)])
+      .catch(function(error){
+
+        console.log("Error ", error);
+      });
+  }
+});
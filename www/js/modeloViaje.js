@@ -0,0 +1,146 @@
+// Forma de los documentos de "viajes" (y de "solicitudes", que usan el mismo
+// formulario). Todo lo que se escribe pasa por validarViaje y normalizarViaje:
+//
+//   origen, destino   texto sin espacios sobrantes
+//   puntoEncuentro    texto opcional con el lugar exacto donde se sube
+//   salida            firebase.firestore.Timestamp con fecha y hora de salida
+//   cupos             numero de lugares libres
+//   cuposTotales      numero de lugares publicados
+//   creado, creadoPor marca de tiempo del servidor y uid de quien lo creo
+
+var CUPOS_MAXIMOS = 4;
+
+// Lee los valores crudos del formulario. "campos" indica el id del elemento de
+// cada dato; para cupos puede ser un select o un contenedor de radios.
+
+function leerFormularioViaje(campos) {
+  var elementoCupos = document.getElementById(campos.cupos);
+  var cupos = elementoCupos.value;
+  if (cupos === undefined) {
+    var elegido = elementoCupos.querySelector("input:checked");
+    cupos = elegido ? elegido.value : "";
+  }
+
+  return {
+    origen: document.getElementById(campos.origen).value,
+    destino: document.getElementById(campos.destino).value,
+    puntoEncuentro: campos.puntoEncuentro ? document.getElementById(campos.puntoEncuentro).value : "",
+    fecha: document.getElementById(campos.fecha).value,
+    hora: document.getElementById(campos.hora).value,
+    cupos: cupos
+  };
+}
+
+// Une la fecha ("AAAA-MM-DD") y la hora ("HH:MM") del formulario en un Date local
+
+function unirFechaHora(fecha, hora) {
+  return new Date(fecha + "T" + hora);
+}
+
+// Devuelve un objeto con un mensaje por cada campo invalido (vacio si no hay errores)
+
+function validarViaje(datos) {
+  var errores = {};
+  var origen = datos.origen.trim();
+  var destino = datos.destino.trim();
+
+  if (origen === "") {
+    errores.origen = "Introduce el origen";
+  }
+  if (destino === "") {
+    errores.destino = "Introduce el destino";
+  } else if (destino.toLowerCase() === origen.toLowerCase()) {
+    errores.destino = "El destino tiene que ser distinto del origen";
+  }
+
+  if (datos.fecha === "") {
+    errores.fecha = "Introduce la fecha";
+  }
+  if (datos.hora === "") {
+    errores.hora = "Introduce la hora";
+  }
+  if (!errores.fecha && !errores.hora) {
+    var salida = unirFechaHora(datos.fecha, datos.hora);
+    if (isNaN(salida.getTime())) {
+      errores.fecha = "La fecha no es valida";
+    } else if (salida <= new Date()) {
+      errores.fecha = "La salida tiene que ser en el futuro";
+    }
+  }
+
+  var cupos = Number(datos.cupos);
+  if (!Number.isInteger(cupos) || cupos < 1 || cupos > CUPOS_MAXIMOS) {
+    errores.cupos = "Elegi entre 1 y " + CUPOS_MAXIMOS + " cupos";
+  }
+
+  return errores;
+}
+
+function hayErrores(errores) {
+  return Object.keys(errores).length > 0;
+}
+
+// Muestra cada error debajo de su campo y borra los que ya se corrigieron
+
+function mostrarErroresViaje(errores, campos) {
+  Object.keys(campos).forEach(function(campo) {
+    var idError = "error-" + campos[campo];
+    var mensaje = document.getElementById(idError);
+    if (!mensaje) {
+      mensaje = document.createElement("span");
+      mensaje.id = idError;
+      mensaje.className = "errorCampo";
+      document.getElementById(campos[campo]).insertAdjacentElement("afterend", mensaje);
+    }
+    mensaje.textContent = errores[campo] || "";
+  });
+}
+
+// Convierte datos ya validados a la forma que se guarda en Firestore
+
+function normalizarViaje(datos) {
+  var cupos = Number(datos.cupos);
+  return {
+    origen: datos.origen.trim(),
+    destino: datos.destino.trim(),
+    puntoEncuentro: datos.puntoEncuentro.trim(),
+    salida: firebase.firestore.Timestamp.fromDate(unirFechaHora(datos.fecha, datos.hora)),
+    cupos: cupos,
+    cuposTotales: cupos
+  };
+}
+
+function metadatosCreacion() {
+  return {
+    creado: firebase.firestore.FieldValue.serverTimestamp(),
+    creadoPor: firebase.auth().currentUser.uid
+  };
+}
+
+// Devuelve la fecha y hora de salida de un viaje como Date
+
+function fechaSalidaViaje(datos) {
+  return datos.salida.toDate();
+}
+
+function dosDigitos(numero) {
+  return ("0" + numero).slice(-2);
+}
+
+// Valores para volver a cargar un viaje en el formulario
+
+function valoresFormularioViaje(datos) {
+  var salida = fechaSalidaViaje(datos);
+  return {
+    fecha: salida.getFullYear() + "-" + dosDigitos(salida.getMonth() + 1) + "-" + dosDigitos(salida.getDate()),
+    hora: dosDigitos(salida.getHours()) + ":" + dosDigitos(salida.getMinutes())
+  };
+}
+
+// Texto de la salida para mostrar en tarjetas y detalles, por ejemplo "05/03/2020 08:30"
+
+function textoSalida(datos) {
+  var salida = fechaSalidaViaje(datos);
+  return dosDigitos(salida.getDate()) + "/" + dosDigitos(salida.getMonth() + 1) + "/" + salida.getFullYear() +
+    " " + dosDigitos(salida.getHours()) + ":" + dosDigitos(salida.getMinutes());
+}
@@ -0,0 +1,177 @@
+// Notificaciones dentro de la app. Se guardan en la coleccion "notificaciones":
+//
+//   usuario   uid del destinatario
+//   tipo      los escribe el cliente: "viajeCancelado", "viajeReprogramado" y
+//             "viajeModificado"; las funciones (functions/): "reservaRecibida",
+//             "reservaAceptada", "reservaRechazada", "reservaCancelada",
+//             "mensajeNuevo" y "resenaRecibida"
+//   viaje     id del viaje al que se refiere
+//   texto     mensaje para mostrar
+//   leida     false hasta que el destinatario la abre
+//   creada    marca de tiempo del servidor
+
+function datosNotificacion(usuario, tipo, viajeId, texto) {
+  return {
+    usuario: usuario,
+    tipo: tipo,
+    viaje: viajeId,
+    texto: texto,
+    leida: false,
+    creada: firebase.firestore.FieldValue.serverTimestamp()
+  };
+}
+
+// Agrega la notificacion a un batch o a una transaccion, para que se escriba
+// junto con el cambio que la provoca
+
+function agregarNotificacion(escritura, usuario, tipo, viajeId, texto) {
+  escritura.set(db.collection("notificaciones").doc(), datosNotificacion(usuario, tipo, viajeId, texto));
+}
+
+// Centro de notificaciones. La campana del encabezado muestra cuantas hay sin
+// leer mientras haya una sesion abierta y la ruta notificaciones lista las
+// ultimas. Cada una lleva al viaje al que se refiere; las de mensajes nuevos, a
+// la conversacion del viaje.
+
+var LIMITE_NOTIFICACIONES = 50;
+
+// Un batch admite hasta 500 escrituras
+var TAMANO_LOTE_NOTIFICACIONES = 500;
+
+var desuscribirNoLeidas = null;
+var notificacionesNoLeidas = [];
+var desuscribirListaNotificaciones = null;
+
+function mostrarInsignia() {
+  var insignia = document.getElementById("contadorNotificaciones");
+  var cantidad = notificacionesNoLeidas.length;
+  insignia.textContent = cantidad > 9 ? "9+" : String(cantidad);
+  insignia.style.display = cantidad > 0 ? "" : "none";
+}
+
+// Escucha las notificaciones sin leer del usuario, o deja de escuchar al cerrar la sesion
+
+function escucharNoLeidas(user) {
+  if (desuscribirNoLeidas) {
+    desuscribirNoLeidas();
+    desuscribirNoLeidas = null;
+  }
+  notificacionesNoLeidas = [];
+  mostrarInsignia();
+  if (!user) {
+    return;
+  }
+
+  desuscribirNoLeidas = db.collection("notificaciones")
+    .where("usuario", "==", user.uid)
+    .where("leida", "==", false)
+    .onSnapshot(function(querySnapshot) {
+      notificacionesNoLeidas = querySnapshot.docs;
+      mostrarInsignia();
+    }, function(error) {
+      console.log("Error ", error);
+    });
+}
+
+function rutaDeNotificacion(datos) {
+  return (datos.tipo === "mensajeNuevo" ? "mensajes/" : "viaje/") + datos.viaje;
+}
+
+function marcarNotificacionLeida(notificacionId) {
+  return db.collection("notificaciones").doc(notificacionId).update({ leida: true });
+}
+
+function marcarTodasLeidas() {
+  var lotes = [];
+  for (var i = 0; i < notificacionesNoLeidas.length; i += TAMANO_LOTE_NOTIFICACIONES) {
+    var batch = db.batch();
+    notificacionesNoLeidas.slice(i, i + TAMANO_LOTE_NOTIFICACIONES).forEach(function(doc) {
+      batch.update(doc.ref, { leida: true });
+    });
+    lotes.push(batch.commit());
+  }
+  return Promise.all(lotes);
+}
+
+function mostrarErrorNotificaciones(error) {
+  document.getElementById("mensajeNotificaciones").textContent = error.message;
+  console.log("Error ", error);
+}
+
+function crearEntradaNotificacion(doc) {
+  var datos = doc.data({ serverTimestamps: "estimate" });
+  var entrada = document.createElement("div");
+  entrada.className = datos.leida ? "notificacion" : "notificacion noLeida";
+
+  var texto = agregarParrafo(entrada, datos.texto);
+  texto.className = "textoNotificacion";
+  texto.addEventListener("click", function() {
+    // Se abre el viaje sin esperar a que se guarde la marca de leida
+    if (!datos.leida) {
+      marcarNotificacionLeida(doc.id).catch(mostrarErrorNotificaciones);
+    }
+    irA(rutaDeNotificacion(datos));
+  });
+
+  agregarParrafo(entrada, datos.creada ? datos.creada.toDate().toLocaleString() : "");
+
+  if (!datos.leida) {
+    var btnLeida = agregarBoton(entrada, "Marcar como leida", function() {
+      btnLeida.disabled = true;
+      marcarNotificacionLeida(doc.id).catch(function(error) {
+        btnLeida.disabled = false;
+        mostrarErrorNotificaciones(error);
+      });
+    });
+  }
+
+  return entrada;
+}
+
+function iniciarNotificaciones(parametros, user) {
+  var lista = document.getElementById("listaNotificaciones");
+  var btnTodas = document.getElementById("btnMarcarTodas");
+
+  btnTodas.addEventListener("click", function() {
+    btnTodas.disabled = true;
+    marcarTodasLeidas().then(function() {
+      btnTodas.disabled = false;
+      return null;
+    })
+    .catch(function(error) {
+      btnTodas.disabled = false;
+      mostrarErrorNotificaciones(error);
+    });
+  });
+
+  desuscribirListaNotificaciones = db.collection("notificaciones")
+    .where("usuario", "==", user.uid)
+    .orderBy("creada", "desc")
+    .limit(LIMITE_NOTIFICACIONES)
+    .onSnapshot(function(querySnapshot) {
+      lista.innerHTML = "";
+      if (querySnapshot.empty) {
+        agregarParrafo(lista, "No tenes notificaciones");
+      }
+      querySnapshot.forEach(function(doc) {
+        lista.appendChild(crearEntradaNotificacion(doc));
+      });
+    }, mostrarErrorNotificaciones);
+}
+
+function salirDeNotificaciones() {
+  if (desuscribirListaNotificaciones) {
+    desuscribirListaNotificaciones();
+    desuscribirListaNotificaciones = null;
+  }
+}
+
+registrarRuta("notificaciones", {
+  plantilla: "vista-notificaciones",
+  iniciar: iniciarNotificaciones,
+  salir: salirDeNotificaciones
+});
+
+document.addEventListener("DOMContentLoaded", function() {
+  firebase.auth().onAuthStateChanged(escucharNoLeidas);
+});
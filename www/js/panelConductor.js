@@ -0,0 +1,158 @@
+// Panel del conductor (seccion menuConductor del menu, ruta conductor): mis
+// proximos viajes publicados con los lugares ocupados y las solicitudes de
+// reserva pendientes. Los dos listados se escuchan en vivo mientras se muestra
+// el panel y se vuelven a armar con cada cambio.
+
+var desuscribirPanel = [];
+var viajesPanel = [];
+var solicitudesPanel = [];
+
+// Muestra el resultado de una accion del panel. Los listados se actualizan solos.
+
+function ejecutarAccionPanel(boton, accion, mensajeExito) {
+  var mensaje = document.getElementById("mensajePanel");
+  mensaje.textContent = "";
+  boton.disabled = true;
+
+  accion().then(function() {
+    mensaje.textContent = mensajeExito;
+    return null;
+  })
+  .catch(function(error){
+    boton.disabled = false;
+    mensaje.textContent = error.message;
+    console.log("Error ", error);
+  });
+}
+
+function crearTarjetaPanel(doc) {
+  var datos = doc.data();
+  var fieldsetViaje = document.createElement("fieldset");
+  var legendViaje = document.createElement("legend");
+  legendViaje.appendChild(document.createTextNode(datos.origen + " - " + datos.destino));
+  fieldsetViaje.appendChild(legendViaje);
+
+  agregarParrafo(fieldsetViaje, textoSalida(datos));
+  agregarParrafo(fieldsetViaje, "Lugares ocupados: " + (datos.cuposTotales - datos.cupos) + " de " + datos.cuposTotales);
+  if (datos.contadores && datos.contadores.pendientes > 0) {
+    agregarParrafo(fieldsetViaje, "Solicitudes pendientes: " + datos.contadores.pendientes);
+  }
+  if (textoParViaje(datos) !== "") {
+    agregarParrafo(fieldsetViaje, textoParViaje(datos));
+  }
+
+  agregarBoton(fieldsetViaje, "Ver", function() {
+    irA("viaje/" + doc.id);
+  });
+  agregarBoton(fieldsetViaje, "Editar", function() {
+    irA("editar/" + doc.id);
+  });
+  agregarBoton(fieldsetViaje, "Duplicar", function() {
+    irA("duplicar/" + doc.id);
+  });
+  var btnCancelar = agregarBoton(fieldsetViaje, "Cancelar", function() {
+    ejecutarAccionPanel(btnCancelar, function() { return cancelarViaje(doc.id, false); }, "Viaje cancelado");
+  });
+  marcarPendiente(fieldsetViaje, doc);
+
+  return fieldsetViaje;
+}
+
+function textoViajePanel(viajeId) {
+  var viaje = viajesPanel.filter(function(doc) {
+    return doc.id === viajeId;
+  })[0];
+  if (!viaje) {
+    return "Viaje";
+  }
+  return viaje.data().origen + " - " + viaje.data().destino + " " + textoSalida(viaje.data());
+}
+
+function crearSolicitudPanel(reserva) {
+  var divSolicitud = document.createElement("div");
+  var pasajero = agregarParrafo(divSolicitud, "Pasajero:");
+  agregarParrafo(divSolicitud, textoViajePanel(reserva.data().viaje));
+
+  obtenerPerfil(reserva.data().pasajero).then(function(perfil) {
+    pasajero.textContent = "Pasajero: " + perfil.nombre;
+    return perfil;
+  })
+  .catch(function(error) {
+    console.log("Error ", error);
+  });
+
+  var btnAceptar = agregarBoton(divSolicitud, "Aceptar", function() {
+    ejecutarAccionPanel(btnAceptar, function() { return aceptarReserva(reserva.id); }, "Reserva confirmada");
+  });
+  var btnRechazar = agregarBoton(divSolicitud, "Rechazar", function() {
+    ejecutarAccionPanel(btnRechazar, function() { return rechazarReserva(reserva.id); }, "Solicitud rechazada");
+  });
+
+  return divSolicitud;
+}
+
+function mostrarPanel() {
+  var listaViajes = document.getElementById("panelViajes");
+  var listaSolicitudes = document.getElementById("panelSolicitudes");
+  listaViajes.innerHTML = "";
+  listaSolicitudes.innerHTML = "";
+
+  var publicados = viajesPanel.filter(function(doc) {
+    return doc.data().estado !== "cancelado";
+  });
+  if (publicados.length === 0) {
+    agregarParrafo(listaViajes, "No tenes viajes proximos publicados");
+  }
+  publicados.forEach(function(doc) {
+    listaViajes.appendChild(crearTarjetaPanel(doc));
+  });
+
+  if (solicitudesPanel.length === 0) {
+    agregarParrafo(listaSolicitudes, "No hay solicitudes pendientes");
+  }
+  solicitudesPanel.forEach(function(reserva) {
+    listaSolicitudes.appendChild(crearSolicitudPanel(reserva));
+  });
+}
+
+function iniciarPanelConductor(parametros, user) {
+  document.getElementById("menuConductor").classList.add("activo");
+  viajesPanel = [];
+  solicitudesPanel = [];
+
+  var ahora = firebase.firestore.Timestamp.fromDate(new Date());
+  var mostrarError = function(error) {
+    console.log("Error ", error);
+  };
+
+  desuscribirPanel = [
+    db.collection("viajes")
+      .where("conductor", "==", user.uid)
+      .where("salida", ">=", ahora)
+      .orderBy("salida")
+      .onSnapshot({ includeMetadataChanges: true }, function(querySnapshot) {
+        viajesPanel = querySnapshot.docs;
+        mostrarPanel();
+      }, mostrarError),
+    db.collection("reservas")
+      .where("conductor", "==", user.uid)
+      .where("estado", "==", "pendiente")
+      .onSnapshot(function(querySnapshot) {
+        solicitudesPanel = querySnapshot.docs;
+        mostrarPanel();
+      }, mostrarError)
+  ];
+}
+
+function salirDelPanelConductor() {
+  desuscribirPanel.forEach(function(desuscribir) {
+    desuscribir();
+  });
+  desuscribirPanel = [];
+}
+
+registrarRuta("conductor", {
+  plantilla: "vista-main",
+  iniciar: iniciarPanelConductor,
+  salir: salirDelPanelConductor
+});
@@ -0,0 +1,198 @@
+// Calificaciones entre conductor y pasajeros. Cuando un viaje ya salio, el
+// conductor puede calificar a cada pasajero confirmado y cada pasajero
+// confirmado al conductor, con un puntaje de 1 a 5 y un comentario corto.
+//
+// Se guardan en la coleccion "resenas" con id "<viaje>_<autor>_<destinatario>",
+// asi hay una sola por viaje y por par. El total se acumula en el perfil del
+// destinatario (usuarios/{uid}.calificaciones, con suma y cantidad) para
+// mostrar el promedio sin leer todas las resenas. Junto con el total se guarda
+// ultimaResena, que las reglas usan para aceptar el cambio en un perfil ajeno.
+
+var PUNTAJE_MAXIMO = 5;
+var LARGO_MAXIMO_COMENTARIO = 280;
+
+function referenciaResena(viajeId, autor, destinatario) {
+  return db.collection("resenas").doc(viajeId + "_" + autor + "_" + destinatario);
+}
+
+// Texto con el promedio de un perfil, por ejemplo "Calificacion: 4.5 de 5 (2 opiniones)"
+
+function textoCalificacion(perfil) {
+  var calificaciones = perfil.calificaciones;
+  if (!calificaciones || !calificaciones.cantidad) {
+    return "Sin calificaciones todavia";
+  }
+  var promedio = calificaciones.suma / calificaciones.cantidad;
+  return "Calificacion: " + promedio.toFixed(1) + " de " + PUNTAJE_MAXIMO +
+    " (" + calificaciones.cantidad + (calificaciones.cantidad === 1 ? " opinion)" : " opiniones)");
+}
+
+// Inicio de funcion calificar a quien viajo con el usuario actual. En la misma
+// transaccion se comprueba que el viaje ya salio, que viajaron juntos (una
+// reserva confirmada que los une) y que no haya una resena anterior.
+
+function calificar(viajeId, destinatario, puntaje, comentario) {
+  var usuario = firebase.auth().currentUser;
+  if (!usuario) {
+    return Promise.reject(new Error("Tenes que iniciar sesion para calificar"));
+  }
+  if (!Number.isInteger(puntaje) || puntaje < 1 || puntaje > PUNTAJE_MAXIMO) {
+    return Promise.reject(new Error("Elegi un puntaje entre 1 y " + PUNTAJE_MAXIMO));
+  }
+  comentario = comentario.trim();
+  if (comentario.length > LARGO_MAXIMO_COMENTARIO) {
+    return Promise.reject(new Error("El comentario puede tener hasta " + LARGO_MAXIMO_COMENTARIO + " caracteres"));
+  }
+
+  var autor = usuario.uid;
+  var viajeRef = db.collection("viajes").doc(viajeId);
+  var resenaRef = referenciaResena(viajeId, autor, destinatario);
+  var perfilRef = db.collection("usuarios").doc(destinatario);
+
+  // Las reglas piden el email verificado para escribir la resena
+  return exigirEmailVerificado().then(function() {
+    return db.runTransaction(function(transaction) {
+      return transaction.get(viajeRef).then(function(viaje) {
+        if (!viaje.exists || viaje.data().estado === "cancelado") {
+          throw new Error("Este viaje no se puede calificar");
+        }
+        if (fechaSalidaViaje(viaje.data()) > new Date()) {
+          throw new Error("Vas a poder calificar cuando el viaje haya salido");
+        }
+
+        var conductor = viaje.data().conductor;
+        if (autor === destinatario || (autor !== conductor && destinatario !== conductor)) {
+          throw new Error("Solo se califican conductor y pasajeros entre si");
+        }
+        var pasajero = autor === conductor ? destinatario : autor;
+
+        return Promise.all([transaction.get(referenciaReserva(viajeId, pasajero)), transaction.get(resenaRef)]);
+      })
+      .then(function(docs) {
+        var reserva = docs[0];
+        if (!reserva.exists || reserva.data().estado !== "confirmada") {
+          throw new Error("Solo se pueden calificar quienes viajaron juntos");
+        }
+        if (docs[1].exists) {
+          throw new Error("Ya calificaste a esta persona en este viaje");
+        }
+
+        transaction.set(resenaRef, {
+          viaje: viajeId,
+          autor: autor,
+          destinatario: destinatario,
+          puntaje: puntaje,
+          comentario: comentario,
+          creada: firebase.firestore.FieldValue.serverTimestamp()
+        });
+        transaction.set(perfilRef, {
+          calificaciones: {
+            suma: firebase.firestore.FieldValue.increment(puntaje),
+            cantidad: firebase.firestore.FieldValue.increment(1)
+          },
+          ultimaResena: resenaRef.id
+        }, { merge: true });
+        return puntaje;
+      });
+    })
+  })
+  .then(function(resultado) {
+    // El promedio del perfil cambio, la proxima consulta lo vuelve a leer
+    delete perfilesCargados[destinatario];
+    return resultado;
+  });
+}
+
+// Con quienes viajo el usuario: el conductor con los pasajeros confirmados y un
+// pasajero confirmado con el conductor
+
+function companerosDeViaje(viaje, uid) {
+  if (viaje.data().conductor === uid) {
+    return db.collection("reservas")
+      .where("viaje", "==", viaje.id)
+      .where("estado", "==", "confirmada")
+      .get()
+      .then(function(querySnapshot) {
+        return querySnapshot.docs.map(function(reserva) {
+          return reserva.data().pasajero;
+        });
+      });
+  }
+
+  return referenciaReserva(viaje.id, uid).get().then(function(reserva) {
+    return reserva.exists && reserva.data().estado === "confirmada" ? [viaje.data().conductor] : [];
+  });
+}
+
+// Formulario para calificar a una persona, o la calificacion ya dada
+
+function crearFormularioResena(viajeId, destinatario, perfil, resena) {
+  var divResena = document.createElement("div");
+
+  if (resena.exists) {
+    agregarParrafo(divResena, perfil.nombre + ": le diste " + resena.data().puntaje + " de " + PUNTAJE_MAXIMO);
+    return divResena;
+  }
+
+  agregarParrafo(divResena, "Califica a " + perfil.nombre);
+
+  var selectPuntaje = document.createElement("select");
+  for (var puntaje = PUNTAJE_MAXIMO; puntaje >= 1; puntaje--) {
+    var opcion = document.createElement("option");
+    opcion.value = String(puntaje);
+    opcion.textContent = puntaje + (puntaje === 1 ? " estrella" : " estrellas");
+    selectPuntaje.appendChild(opcion);
+  }
+  divResena.appendChild(selectPuntaje);
+
+  var inputComentario = document.createElement("input");
+  inputComentario.type = "text";
+  inputComentario.maxLength = LARGO_MAXIMO_COMENTARIO;
+  inputComentario.placeholder = "Comentario (opcional)";
+  divResena.appendChild(inputComentario);
+
+  var btnCalificar = agregarBoton(divResena, "Calificar", function() {
+    btnCalificar.disabled = true;
+    calificar(viajeId, destinatario, Number(selectPuntaje.value), inputComentario.value).then(function() {
+      mensajeResena.textContent = "Gracias por tu calificacion";
+      return null;
+    })
+    .catch(function(error) {
+      btnCalificar.disabled = false;
+      mensajeResena.textContent = error.message;
+      console.log("Error ", error);
+    });
+  });
+  var mensajeResena = agregarParrafo(divResena, "");
+
+  return divResena;
+}
+
+// Seccion de calificaciones del detalle del viaje. Solo se muestra a quienes
+// viajaron juntos y despues de la salida.
+
+function mostrarCalificaciones(viaje, usuario) {
+  var seccion = vaciarSeccion("detalleCalificaciones");
+  seccion.style.display = "none";
+
+  if (viaje.data().estado === "cancelado" || fechaSalidaViaje(viaje.data()) > new Date()) {
+    return Promise.resolve(null);
+  }
+
+  return companerosDeViaje(viaje, usuario.uid).then(function(companeros) {
+    var formularios = companeros.map(function(uid) {
+      return Promise.all([obtenerPerfil(uid), referenciaResena(viaje.id, usuario.uid, uid).get()])
+        .then(function(resultado) {
+          return crearFormularioResena(viaje.id, uid, resultado[0], resultado[1]);
+        });
+    });
+    return Promise.all(formularios);
+  })
+  .then(function(formularios) {
+    formularios.forEach(function(formulario) {
+      seccion.appendChild(formulario);
+    });
+    seccion.style.display = formularios.length > 0 ? "" : "none";
+    return formularios;
+  });
+}
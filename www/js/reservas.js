@@ -0,0 +1,237 @@
+// Las reservas se guardan en la coleccion "reservas" con id "<viaje>_<pasajero>",
+// asi un mismo pasajero no puede tener dos reservas para el mismo viaje.
+//
+// Una reserva empieza "pendiente" hasta que el conductor la acepta
+// ("confirmada") o la rechaza ("rechazada"). El cupo se descuenta del viaje
+// recien al confirmarla. El pasajero la puede pasar a "cancelada" y si el
+// conductor cancela el viaje queda "viajeCancelado". Cuando el conductor cambia
+// la salida de un viaje sus reservas activas se marcan con reprogramada: true.
+//
+// Cada cambio de cupos del viaje guarda en ultimaReserva el id de la reserva que
+// lo provoca, para que las reglas de firestore.rules puedan comprobarlo.
+
+var TEXTOS_ESTADO_RESERVA = {
+  pendiente: "esperando respuesta del conductor",
+  confirmada: "confirmada",
+  rechazada: "rechazada por el conductor",
+  cancelada: "cancelada",
+  viajeCancelado: "el conductor cancelo el viaje"
+};
+
+// Una reserva pendiente o confirmada sigue activa; las demas se pueden volver a pedir
+
+function reservaActiva(datos) {
+  return datos.estado === "pendiente" || datos.estado === "confirmada";
+}
+
+function referenciaReserva(viajeId, pasajeroId) {
+  return db.collection("reservas").doc(viajeId + "_" + pasajeroId);
+}
+
+// Todas las reservas de un viaje, en cualquier estado
+
+function reservasDelViaje(viajeId) {
+  return db.collection("reservas").where("viaje", "==", viajeId).get().then(function(querySnapshot) {
+    return querySnapshot.docs;
+  });
+}
+
+// Comprueba que el usuario pueda pedir un lugar en el viaje. Lanza un Error
+// con el motivo si no puede.
+
+function validarPedidoReserva(viaje, reserva, uid) {
+  if (!viaje.exists) {
+    throw new Error("El viaje no existe");
+  }
+  if (viaje.data().estado === "cancelado") {
+    throw new Error("El viaje fue cancelado");
+  }
+  if (viaje.data().conductor === uid) {
+    throw new Error("No podes reservar tu propio viaje");
+  }
+  if (reserva.exists && reservaActiva(reserva.data())) {
+    throw new Error("Ya tenes una reserva en este viaje");
+  }
+  if (viaje.data().cupos < 1) {
+    throw new Error("El viaje no tiene cupos libres");
+  }
+}
+
+// set reemplaza la reserva anterior, si la habia, junto con su marca de reprogramada
+
+function datosReservaNueva(viaje, uid, solicitudId) {
+  var nuevaReserva = {
+    viaje: viaje.id,
+    pasajero: uid,
+    conductor: viaje.data().conductor,
+    estado: solicitudId ? "confirmada" : "pendiente",
+    creada: firebase.firestore.FieldValue.serverTimestamp()
+  };
+  if (solicitudId) {
+    nuevaReserva.solicitud = solicitudId;
+  }
+  return nuevaReserva;
+}
+
+// Texto para mostrar despues de pedir un lugar
+
+function textoSolicitudEnviada() {
+  return hayConexion() ? "Solicitud enviada al conductor" :
+    "Solicitud guardada, se envia al conductor cuando vuelva la conexion";
+}
+
+// Inicio de funcion pedir un cupo en un viaje. Con solicitudId la reserva queda
+// confirmada directamente, porque el conductor ya ofrecio el lugar en ese pedido
+// de viaje (ver aceptarOferta en solicitudes.js).
+
+function reservarViaje(viajeId, solicitudId) {
+  var usuario = firebase.auth().currentUser;
+  if (!usuario) {
+    return Promise.reject(new Error("Tenes que iniciar sesion para reservar"));
+  }
+  if (!hayConexion()) {
+    if (solicitudId) {
+      return Promise.reject(new Error("Necesitas conexion para aceptar una oferta"));
+    }
+    return pedirReservaSinConexion(viajeId, usuario);
+  }
+
+  var viajeRef = db.collection("viajes").doc(viajeId);
+  var reservaRef = referenciaReserva(viajeId, usuario.uid);
+
+  // La lectura de cupos y el descuento van en la misma transaccion para que
+  // dos pasajeros no puedan quedarse con el ultimo lugar.
+  return exigirEmailVerificado().then(function() {
+    return db.runTransaction(function(transaction) {
+      return Promise.all([transaction.get(viajeRef), transaction.get(reservaRef)])
+        .then(function(docs) {
+          var viaje = docs[0];
+          validarPedidoReserva(viaje, docs[1], usuario.uid);
+
+          transaction.set(reservaRef, datosReservaNueva(viaje, usuario.uid, solicitudId));
+          var cupos = viaje.data().cupos;
+          if (!solicitudId) {
+            return cupos;
+          }
+          transaction.update(viajeRef, { cupos: cupos - 1, ultimaReserva: reservaRef.id });
+
+          return cupos - 1;
+        });
+    });
+  });
+}
+
+// Sin conexion no hay transacciones. Una solicitud pendiente no descuenta
+// cupos, asi que se valida con lo que haya en la cache y se guarda con set: queda
+// en cola y se envia al volver la red, donde las reglas la vuelven a validar.
+// La promesa de set recien se resuelve cuando el servidor confirma, por eso no
+// se espera.
+
+function pedirReservaSinConexion(viajeId, usuario) {
+  var reservaRef = referenciaReserva(viajeId, usuario.uid);
+
+  return exigirEmailVerificado().then(function() {
+    return Promise.all([db.collection("viajes").doc(viajeId).get(), reservaRef.get()])
+      .catch(function(error) {
+        console.log("Error ", error);
+        throw new Error("Este viaje no esta guardado en el dispositivo. Proba cuando vuelva la conexion");
+      });
+  })
+  .then(function(docs) {
+    var viaje = docs[0];
+    validarPedidoReserva(viaje, docs[1], usuario.uid);
+
+    reservaRef.set(datosReservaNueva(viaje, usuario.uid)).catch(function(error) {
+      console.log("Error ", error);
+    });
+    return viaje.data().cupos;
+  });
+}
+
+// Inicio de funcion cancelar una reserva y devolver el cupo al viaje
+
+function cancelarReserva(viajeId) {
+  var usuario = firebase.auth().currentUser;
+  if (!usuario) {
+    return Promise.reject(new Error("Tenes que iniciar sesion para cancelar"));
+  }
+
+  var viajeRef = db.collection("viajes").doc(viajeId);
+  var reservaRef = referenciaReserva(viajeId, usuario.uid);
+
+  return db.runTransaction(function(transaction) {
+    return Promise.all([transaction.get(viajeRef), transaction.get(reservaRef)])
+      .then(function(docs) {
+        var viaje = docs[0];
+        var reserva = docs[1];
+
+        if (!reserva.exists || !reservaActiva(reserva.data())) {
+          throw new Error("No tenes una reserva en este viaje");
+        }
+
+        transaction.update(reservaRef, { estado: "cancelada" });
+        // Una reserva pendiente todavia no ocupaba un cupo
+        if (!viaje.exists || reserva.data().estado === "pendiente") {
+          return viaje.exists ? viaje.data().cupos : 0;
+        }
+
+        var cupos = viaje.data().cupos;
+        transaction.update(viajeRef, { cupos: cupos + 1, ultimaReserva: reservaRef.id });
+
+        return cupos + 1;
+      });
+  });
+}
+
+// Inicio de funcion aceptar una reserva pendiente (solo el conductor). El cupo
+// se descuenta en la misma transaccion que confirma la reserva.
+
+function aceptarReserva(reservaId) {
+  var reservaRef = db.collection("reservas").doc(reservaId);
+
+  return db.runTransaction(function(transaction) {
+    return transaction.get(reservaRef).then(function(reserva) {
+      if (!reserva.exists || reserva.data().estado !== "pendiente") {
+        throw new Error("La solicitud ya no esta pendiente");
+      }
+
+      var viajeRef = db.collection("viajes").doc(reserva.data().viaje);
+      return transaction.get(viajeRef).then(function(viaje) {
+        if (!viaje.exists || viaje.data().estado === "cancelado") {
+          throw new Error("El viaje fue cancelado");
+        }
+        var cupos = viaje.data().cupos;
+        if (cupos < 1) {
+          throw new Error("El viaje no tiene cupos libres");
+        }
+
+        transaction.update(reservaRef, {
+          estado: "confirmada",
+          respondida: firebase.firestore.FieldValue.serverTimestamp()
+        });
+        transaction.update(viajeRef, { cupos: cupos - 1, ultimaReserva: reservaRef.id });
+
+        return cupos - 1;
+      });
+    });
+  });
+}
+
+// Inicio de funcion rechazar una reserva pendiente (solo el conductor)
+
+function rechazarReserva(reservaId) {
+  var reservaRef = db.collection("reservas").doc(reservaId);
+
+  return db.runTransaction(function(transaction) {
+    return transaction.get(reservaRef).then(function(reserva) {
+      if (!reserva.exists || reserva.data().estado !== "pendiente") {
+        throw new Error("La solicitud ya no esta pendiente");
+      }
+      transaction.update(reservaRef, {
+        estado: "rechazada",
+        respondida: firebase.firestore.FieldValue.serverTimestamp()
+      });
+      return null;
+    });
+  });
+}
@@ -0,0 +1,161 @@
+// Router de AventApp. Toda la aplicacion vive en index.html: cada vista es un
+// <template id="vista-..."> que se copia en la pantalla al entrar a su ruta.
+// Las rutas van en el hash (#/buscar, #/viaje/<id>) para que funcionen igual
+// en Firebase Hosting y en Cordova, donde index.html se abre como archivo.
+//
+// Cada modulo registra sus rutas con registrarRuta(patron, vista). El patron
+// puede tener parametros con ":" (por ejemplo "viaje/:id") y la vista tiene:
+//
+//   plantilla   id del <template> que se muestra
+//   sinSesion   true en las rutas de ingreso; las demas exigen usuario
+//   iniciar     function(parametros, usuario) que se ejecuta al entrar
+//   salir       function() que se ejecuta al dejar la ruta. Aca se cortan los
+//               onSnapshot para no seguir escuchando una vista que ya no esta
+
+var RUTA_INICIO = "main";
+var RUTA_INGRESO = "ingresar";
+
+var rutas = [];
+var rutaActual = null;
+
+// undefined hasta que Firebase informa si hay un usuario conectado
+var usuarioActual;
+var cerrandoSesion = false;
+
+function registrarRuta(patron, vista) {
+  rutas.push({ partes: patron.split("/"), vista: vista });
+}
+
+function irA(ruta) {
+  location.hash = "#/" + ruta;
+}
+
+function reemplazarRuta(ruta) {
+  location.replace("#/" + ruta);
+}
+
+function rutaDelHash() {
+  return location.hash.replace(/^#\/?/, "") || RUTA_INICIO;
+}
+
+// Busca la ruta registrada que coincide y devuelve su vista con los parametros
+
+function buscarRuta(ruta) {
+  var partes = ruta.split("/");
+
+  for (var i = 0; i < rutas.length; i++) {
+    var patron = rutas[i].partes;
+    var parametros = {};
+    var coincide = patron.length === partes.length && patron.every(function(parte, j) {
+      if (parte.charAt(0) === ":") {
+        parametros[parte.slice(1)] = decodeURIComponent(partes[j]);
+        return partes[j] !== "";
+      }
+      return parte === partes[j];
+    });
+    if (coincide) {
+      return { vista: rutas[i].vista, parametros: parametros };
+    }
+  }
+  return null;
+}
+
+// Las rutas de ingreso se muestran en la pantalla de inicio; el resto en la
+// pantalla de la aplicacion, con el menu y los botones de abajo
+
+function mostrarPantalla(sinSesion) {
+  document.getElementById("pantallaInicio").style.display = sinSesion ? "" : "none";
+  document.getElementById("pantallaApp").style.display = sinSesion ? "none" : "";
+  document.body.className = sinSesion ? "inicio" : "";
+}
+
+function alternarMenuNavegacion() {
+  document.getElementById("navigation").classList.toggle("abierto");
+}
+
+function cerrarMenuNavegacion() {
+  document.getElementById("navigation").classList.remove("abierto");
+}
+
+// Las vistas que cargan sus datos con get() los muestran cuando llegan. Si en
+// el medio se navego a otra ruta la plantilla ya no esta en pantalla:
+// vistaVigente() se llama al entrar y devuelve una funcion que dice si esa
+// vista sigue siendo la actual.
+
+function vistaVigente() {
+  var vista = rutaActual;
+  return function() {
+    return vista !== null && rutaActual === vista;
+  };
+}
+
+function salirDeRutaActual() {
+  if (rutaActual && rutaActual.vista.salir) {
+    rutaActual.vista.salir();
+  }
+  rutaActual = null;
+}
+
+// Muestra la vista de la ruta del hash, o redirige si no corresponde al estado
+// de la sesion
+
+function navegar() {
+  if (usuarioActual === undefined) {
+    return;
+  }
+
+  var ruta = rutaDelHash();
+  var encontrada = buscarRuta(ruta);
+  if (!encontrada) {
+    reemplazarRuta(RUTA_INICIO);
+    return;
+  }
+
+  var vista = encontrada.vista;
+  if (!vista.sinSesion && !usuarioActual) {
+    if (!cerrandoSesion) {
+      sessionStorage.setItem("paginaPedida", ruta);
+    }
+    cerrandoSesion = false;
+    salirDeRutaActual();
+    reemplazarRuta(RUTA_INGRESO);
+    return;
+  }
+  if (vista.sinSesion && usuarioActual) {
+    reemplazarRuta(RUTA_INICIO);
+    return;
+  }
+
+  salirDeRutaActual();
+
+  var contenedor = document.getElementById(vista.sinSesion ? "vistaInicio" : "menu");
+  contenedor.innerHTML = "";
+  contenedor.appendChild(document.getElementById(vista.plantilla).content.cloneNode(true));
+  mostrarPantalla(vista.sinSesion);
+  cerrarMenuNavegacion();
+
+  rutaActual = encontrada;
+  if (vista.iniciar) {
+    vista.iniciar(encontrada.parametros, usuarioActual);
+  }
+}
+
+// Al ingresar desde una ruta sin sesion se espera a observador, que crea el
+// perfil y pasa a la ruta pedida. En cualquier otro caso se vuelve a navegar.
+
+function iniciarRouter() {
+  window.addEventListener("hashchange", navegar);
+
+  firebase.auth().onAuthStateChanged(function(user) {
+    usuarioActual = user;
+
+    var encontrada = buscarRuta(rutaDelHash());
+    if (user && encontrada && encontrada.vista.sinSesion) {
+      observador(user);
+      return;
+    }
+    navegar();
+  });
+}
+
+document.addEventListener("DOMContentLoaded", iniciarRouter);
@@ -0,0 +1,238 @@
+// Pedidos de viaje de pasajeros. Se guardan en la coleccion "solicitudes" y los
+// conductores ofrecen un lugar en alguno de sus viajes en solicitudes/{id}/ofertas,
+// con el uid del conductor como id (una oferta por conductor).
+
+// Inicio de funcion publicar un pedido de viaje (radio Pasajero en la ruta crear).
+// Recibe los datos del formulario ya normalizados con normalizarViaje. Cada
+// pedido es de un solo lugar, porque aceptar una oferta reserva un lugar. Sin
+// conexion el pedido queda en cola y no se espera al servidor.
+
+function publicarSolicitud(viaje) {
+  return esperarEscritura(db.collection("solicitudes").add(Object.assign(
+    {
+      pasajero: firebase.auth().currentUser.uid,
+      origen: viaje.origen,
+      destino: viaje.destino,
+      salida: viaje.salida,
+      cupos: 1,
+      estado: "abierta"
+    }, metadatosCreacion())));
+}
+
+// Con el radio Pasajero el pedido es de un lugar y no se ofrece la vuelta
+
+function cambiarTipoPublicacion() {
+  var pasajero = document.getElementById("btnradioPasajero").checked;
+  var cupos = document.getElementById("cupos");
+  if (pasajero) {
+    cupos.value = "1";
+    document.getElementById("casillaVuelta").checked = false;
+    mostrarViajeVuelta();
+  }
+  cupos.disabled = pasajero;
+  document.querySelector(".ViajeVuelta").style.display = pasajero ? "none" : "";
+}
+
+// Inicio de funcion ofrecer un lugar de uno de mis viajes a un pedido
+
+function ofrecerLugar(solicitudId, viajeId) {
+  var conductor = firebase.auth().currentUser.uid;
+
+  return db.collection("solicitudes").doc(solicitudId)
+    .collection("ofertas").doc(conductor)
+    .set({
+      conductor: conductor,
+      viaje: viajeId,
+      creada: firebase.firestore.FieldValue.serverTimestamp()
+    });
+}
+
+// Inicio de funcion aceptar una oferta: reserva el lugar en el viaje ofrecido
+// y cierra el pedido
+
+function aceptarOferta(solicitudId, viajeId) {
+  return reservarViaje(viajeId, solicitudId).then(function() {
+    return db.collection("solicitudes").doc(solicitudId).update({
+      estado: "resuelta",
+      viajeAceptado: viajeId
+    });
+  });
+}
+
+// Arma la tarjeta de un pedido de viaje
+
+function crearTarjetaSolicitud(doc) {
+  var datos = doc.data();
+  var fieldsetSolicitud = document.createElement("fieldset");
+  var legendSolicitud = document.createElement("legend");
+  legendSolicitud.appendChild(document.createTextNode(datos.origen + " - " + datos.destino));
+  fieldsetSolicitud.appendChild(legendSolicitud);
+
+  [textoSalida(datos), "Lugares: " + datos.cupos].forEach(function(linea) {
+    var parrafo = document.createElement("p");
+    parrafo.appendChild(document.createTextNode(linea));
+    fieldsetSolicitud.appendChild(parrafo);
+  });
+
+  return fieldsetSolicitud;
+}
+
+// Lista de pedidos abiertos para los conductores, con un selector de sus viajes
+// activos para ofrecer el lugar
+
+function cargarSolicitudes(uid) {
+  var lista = document.getElementById("listaSolicitudes");
+  var vigente = vistaVigente();
+
+  return Promise.all([
+    db.collection("solicitudes").where("estado", "==", "abierta").get(),
+    db.collection("viajes").where("conductor", "==", uid).get()
+  ])
+  .then(function(resultados) {
+    if (!vigente()) {
+      return resultados[0];
+    }
+    var misViajes = resultados[1].docs.filter(function(viaje) {
+      return viaje.data().estado !== "cancelado" && fechaSalidaViaje(viaje.data()) >= new Date();
+    });
+
+    resultados[0].forEach(function(doc) {
+      if (doc.data().pasajero === uid) {
+        return;
+      }
+
+      var tarjeta = crearTarjetaSolicitud(doc);
+      var pasajero = document.createElement("p");
+      tarjeta.appendChild(pasajero);
+      obtenerPerfil(doc.data().pasajero).then(function(perfil) {
+        pasajero.textContent = "Pasajero: " + perfil.nombre;
+        return perfil;
+      })
+      .catch(function(error) {
+        console.log("Error ", error);
+      });
+
+      var selectViaje = document.createElement("select");
+      misViajes.forEach(function(viaje) {
+        var opcion = document.createElement("option");
+        opcion.value = viaje.id;
+        opcion.textContent = viaje.data().origen + " - " + viaje.data().destino + " " + textoSalida(viaje.data());
+        selectViaje.appendChild(opcion);
+      });
+      tarjeta.appendChild(selectViaje);
+
+      var btnOfrecer = document.createElement("button");
+      btnOfrecer.appendChild(document.createTextNode("Ofrecer lugar"));
+      btnOfrecer.disabled = misViajes.length === 0;
+      tarjeta.appendChild(btnOfrecer);
+
+      var mensajeOferta = document.createElement("p");
+      if (misViajes.length === 0) {
+        mensajeOferta.textContent = "Publica un viaje para poder ofrecer un lugar";
+      }
+      tarjeta.appendChild(mensajeOferta);
+
+      btnOfrecer.addEventListener("click", function() {
+        ofrecerLugar(doc.id, selectViaje.value).then(function() {
+          mensajeOferta.textContent = "Oferta enviada";
+          return null;
+        })
+        .catch(function(error) {
+          mensajeOferta.textContent = "No se pudo enviar la oferta";
+          console.log("Error ", error);
+        });
+      });
+
+      lista.appendChild(tarjeta);
+    });
+    return resultados[0];
+  });
+}
+
+// Mis pedidos de viaje con las ofertas recibidas (en Mis Viajes)
+
+function cargarMisSolicitudes(uid) {
+  var seccion = document.getElementById("misSolicitudes");
+  var vigente = vistaVigente();
+
+  return db.collection("solicitudes").where("pasajero", "==", uid).get()
+    .then(function(querySnapshot) {
+      var conOfertas = querySnapshot.docs.map(function(doc) {
+        return doc.ref.collection("ofertas").get().then(function(ofertas) {
+          return { solicitud: doc, ofertas: ofertas.docs };
+        });
+      });
+      return Promise.all(conOfertas);
+    })
+    .then(function(solicitudes) {
+      if (!vigente()) {
+        return solicitudes;
+      }
+      solicitudes.forEach(function(item) {
+        var solicitud = item.solicitud;
+        var tarjeta = crearTarjetaSolicitud(solicitud);
+        var estado = document.createElement("p");
+        estado.textContent = "Pedido: " + solicitud.data().estado;
+        tarjeta.appendChild(estado);
+
+        if (solicitud.data().estado === "abierta") {
+          item.ofertas.forEach(function(oferta) {
+            tarjeta.appendChild(crearOferta(solicitud.id, oferta.data(), estado));
+          });
+        }
+        seccion.appendChild(tarjeta);
+      });
+      return solicitudes;
+    });
+}
+
+// Una oferta recibida con el conductor y el boton para aceptarla
+
+function crearOferta(solicitudId, oferta, estado) {
+  var divOferta = document.createElement("div");
+  var textoOferta = document.createElement("p");
+  divOferta.appendChild(textoOferta);
+
+  obtenerPerfil(oferta.conductor).then(function(perfil) {
+    textoOferta.textContent = "Oferta de " + perfil.nombre;
+    return perfil;
+  })
+  .catch(function(error) {
+    console.log("Error ", error);
+  });
+
+  var btnVer = document.createElement("button");
+  btnVer.appendChild(document.createTextNode("Ver viaje"));
+  btnVer.addEventListener("click", function() {
+    irA("viaje/" + oferta.viaje);
+  });
+  divOferta.appendChild(btnVer);
+
+  var btnAceptar = document.createElement("button");
+  btnAceptar.appendChild(document.createTextNode("Aceptar"));
+  btnAceptar.addEventListener("click", function() {
+    btnAceptar.disabled = true;
+    aceptarOferta(solicitudId, oferta.viaje).then(function() {
+      estado.textContent = "Pedido: resuelta";
+      return null;
+    })
+    .catch(function(error) {
+      btnAceptar.disabled = false;
+      estado.textContent = error.message;
+      console.log("Error ", error);
+    });
+  });
+  divOferta.appendChild(btnAceptar);
+
+  return divOferta;
+}
+
+registrarRuta("solicitudes", {
+  plantilla: "vista-solicitudes",
+  iniciar: function(parametros, user) {
+    cargarSolicitudes(user.uid).catch(function(error){
+
+      console.log("Error ", error);
+    });
+  }
+});
@@ -0,0 +1,257 @@
+// Detalle de un viaje, se abre con la ruta viaje/<id del viaje>
+
+var viajeId = null;
+
+// Agrega un parrafo con el texto indicado al contenedor
+
+function agregarParrafo(contenedor, texto) {
+  var parrafo = document.createElement("p");
+  parrafo.appendChild(document.createTextNode(texto));
+  contenedor.appendChild(parrafo);
+  return parrafo;
+}
+
+// Agrega un boton al contenedor que ejecuta la accion al hacer click
+
+function agregarBoton(contenedor, texto, accion) {
+  var boton = document.createElement("button");
+  boton.appendChild(document.createTextNode(texto));
+  boton.addEventListener("click", accion);
+  contenedor.appendChild(boton);
+  return boton;
+}
+
+// Vacia un fieldset del detalle dejando solo su legend
+
+function vaciarSeccion(id) {
+  var seccion = document.getElementById(id);
+  var legend = seccion.querySelector("legend");
+  seccion.innerHTML = "";
+  seccion.appendChild(legend);
+  return seccion;
+}
+
+// Inicio de funcion cancelar un viaje (solo el conductor). Con conPar tambien
+// se cancela el otro viaje del par ida y vuelta. Las reservas activas pasan a
+// "viajeCancelado" y cada pasajero recibe una notificacion.
+
+function cancelarViaje(viajeId, conPar) {
+  return db.collection("viajes").doc(viajeId).get().then(function(viaje) {
+    var viajes = [viaje];
+    var par = viaje.data().viajeVuelta || viaje.data().viajeIda;
+    if (conPar && par) {
+      viajes.push(db.collection("viajes").doc(par).get());
+    }
+    return Promise.all(viajes);
+  })
+  .then(function(viajes) {
+    return Promise.all(viajes.map(function(viaje) {
+      return reservasDelViaje(viaje.id).then(function(reservas) {
+        return { viaje: viaje, reservas: reservas };
+      });
+    }));
+  })
+  .then(function(cancelados) {
+    var batch = db.batch();
+
+    cancelados.forEach(function(item) {
+      var datos = item.viaje.data();
+      batch.update(item.viaje.ref, { estado: "cancelado" });
+
+      item.reservas.forEach(function(reserva) {
+        if (!reservaActiva(reserva.data())) {
+          return;
+        }
+        batch.update(reserva.ref, { estado: "viajeCancelado" });
+        agregarNotificacion(batch, reserva.data().pasajero, "viajeCancelado", item.viaje.id,
+          "Se cancelo el viaje " + datos.origen + " - " + datos.destino + " del " + textoSalida(datos));
+      });
+    });
+    return batch.commit();
+  });
+}
+
+// Ejecuta una accion del detalle, muestra el resultado y recarga el viaje
+
+function ejecutarAccion(accion, mensajeExito) {
+  var mensaje = document.getElementById("mensajeViaje");
+  mensaje.textContent = "";
+
+  accion().then(function() {
+    mensaje.textContent = mensajeExito;
+    cargarDetalleViaje(firebase.auth().currentUser);
+    return null;
+  })
+  .catch(function(error){
+    mensaje.textContent = error.message;
+    console.log("Error ", error);
+  });
+}
+
+function textoPreferencias(preferencias) {
+  return [
+    preferencias.fumar ? "Se puede fumar" : "No se puede fumar",
+    preferencias.mascotas ? "Acepta mascotas" : "Sin mascotas",
+    preferencias.musica ? "Con musica" : "Sin musica"
+  ].join(" - ");
+}
+
+function mostrarConductor(conductorId) {
+  return obtenerPerfil(conductorId).then(function(perfil) {
+    var seccion = vaciarSeccion("detalleConductor");
+    agregarParrafo(seccion, perfil.nombre);
+    agregarParrafo(seccion, textoCalificacion(perfil));
+    if (perfil.telefono) {
+      agregarParrafo(seccion, "Telefono: " + perfil.telefono);
+    }
+    if (perfil.bio) {
+      agregarParrafo(seccion, perfil.bio);
+    }
+    if (perfil.vehiculo && perfil.vehiculo.marca) {
+      var vehiculo = perfil.vehiculo;
+      agregarParrafo(seccion, "Vehiculo: " + vehiculo.marca + " " + vehiculo.modelo + " " + vehiculo.color + " (" + vehiculo.patente + ")");
+    }
+    if (perfil.preferencias) {
+      agregarParrafo(seccion, textoPreferencias(perfil.preferencias));
+    }
+    return perfil;
+  });
+}
+
+function mostrarPasajeros() {
+  return db.collection("reservas")
+    .where("viaje", "==", viajeId)
+    .where("estado", "==", "confirmada")
+    .get()
+    .then(function(querySnapshot) {
+      var perfiles = querySnapshot.docs.map(function(reserva) {
+        return obtenerPerfil(reserva.data().pasajero);
+      });
+      return Promise.all(perfiles);
+    })
+    .then(function(perfiles) {
+      var seccion = vaciarSeccion("detallePasajeros");
+      if (perfiles.length === 0) {
+        agregarParrafo(seccion, "Todavia no hay pasajeros");
+      }
+      perfiles.forEach(function(perfil) {
+        agregarParrafo(seccion, perfil.nombre);
+      });
+      return perfiles;
+    });
+}
+
+function abrirMensajesViaje() {
+  irA("mensajes/" + viajeId);
+}
+
+// Reservar o cancelar la reserva para pasajeros, editar o cancelar para el conductor
+
+function mostrarAcciones(viaje, usuario) {
+  var acciones = document.getElementById("accionesViaje");
+  acciones.innerHTML = "";
+
+  if (!usuario || viaje.data().estado === "cancelado") {
+    return Promise.resolve(null);
+  }
+
+  if (viaje.data().conductor === usuario.uid) {
+    agregarBoton(acciones, "Mensajes", abrirMensajesViaje);
+    agregarBoton(acciones, "Editar", function() {
+      irA("editar/" + viajeId);
+    });
+    agregarBoton(acciones, "Cancelar viaje", function() {
+      ejecutarAccion(function() { return cancelarViaje(viajeId, false); }, "Viaje cancelado");
+    });
+    if (viaje.data().viajeVuelta || viaje.data().viajeIda) {
+      agregarBoton(acciones, "Cancelar ida y vuelta", function() {
+        ejecutarAccion(function() { return cancelarViaje(viajeId, true); }, "Viajes cancelados");
+      });
+    }
+    return Promise.resolve(null);
+  }
+
+  return referenciaReserva(viajeId, usuario.uid).get().then(function(reserva) {
+    if (reserva.exists && reserva.data().estado === "confirmada") {
+      agregarBoton(acciones, "Mensajes", abrirMensajesViaje);
+      agregarBoton(acciones, "Cancelar reserva", function() {
+        ejecutarAccion(function() { return cancelarReserva(viajeId); }, "Reserva cancelada");
+      });
+    } else if (reserva.exists && reserva.data().estado === "pendiente") {
+      agregarParrafo(acciones, "Tu solicitud espera la respuesta del conductor");
+      if (reserva.metadata.hasPendingWrites) {
+        agregarParrafo(acciones, TEXTO_PENDIENTE);
+      }
+      agregarBoton(acciones, "Cancelar solicitud", function() {
+        ejecutarAccion(function() { return cancelarReserva(viajeId); }, "Solicitud cancelada");
+      });
+    } else {
+      if (reserva.exists && reserva.data().estado === "rechazada") {
+        agregarParrafo(acciones, "El conductor rechazo tu solicitud anterior");
+      }
+      agregarBoton(acciones, "Reservar", function() {
+        ejecutarAccion(function() { return reservarViaje(viajeId); }, textoSolicitudEnviada());
+      });
+    }
+    return reserva;
+  });
+}
+
+// Inicio de funcion cargar el detalle completo del viaje
+
+function cargarDetalleViaje(usuario) {
+  var vigente = vistaVigente();
+
+  db.collection("viajes").doc(viajeId).get().then(function(viaje) {
+    if (!vigente()) {
+      return null;
+    }
+    var detalle = vaciarSeccion("detalleViaje");
+
+    if (!viaje.exists) {
+      agregarParrafo(detalle, "El viaje no existe");
+      return null;
+    }
+
+    var datos = viaje.data();
+    agregarParrafo(detalle, "Origen: " + datos.origen);
+    agregarParrafo(detalle, "Destino: " + datos.destino);
+    if (datos.puntoEncuentro) {
+      agregarParrafo(detalle, "Punto de encuentro: " + datos.puntoEncuentro);
+    }
+    agregarParrafo(detalle, "Salida: " + textoSalida(datos));
+    agregarParrafo(detalle, "Cupos libres: " + datos.cupos + " de " + datos.cuposTotales);
+    if (datos.estado === "cancelado") {
+      agregarParrafo(detalle, "Viaje cancelado");
+    }
+    if (datos.viajeVuelta) {
+      agregarBoton(detalle, "Ver viaje de vuelta", function() {
+        irA("viaje/" + datos.viajeVuelta);
+      });
+    }
+    if (datos.viajeIda) {
+      agregarBoton(detalle, "Ver viaje de ida", function() {
+        irA("viaje/" + datos.viajeIda);
+      });
+    }
+
+    return Promise.all([
+      mostrarConductor(datos.conductor),
+      mostrarPasajeros(),
+      mostrarAcciones(viaje, usuario),
+      mostrarCalificaciones(viaje, usuario)
+    ]);
+  })
+  .catch(function(error){
+
+    console.log("Error ", error);
+  });
+}
+
+registrarRuta("viaje/:id", {
+  plantilla: "vista-viaje",
+  iniciar: function(parametros, user) {
+    viajeId = parametros.id;
+    cargarDetalleViaje(user);
+  }
+});